@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+// ---------- Batch CLI ----------
+//
+// Runs the calculator for every home in a CSV or JSON file and writes a
+// results CSV. Works offline; the row format is documented in src/lib/batch.js.
+//
+//   node bin/heatpump-batch.js homes.csv [-o results.csv]
+//
+// File references in a row (COP tables, tariffs, weather files, …) are read
+// relative to the input file. Bad rows are listed on stderr and in the
+// results' status/errors columns; the exit code is 1 if any row failed.
+
+import { readFileSync, writeFileSync, existsSync } from 'node:fs'
+import { dirname, resolve } from 'node:path'
+import { parseHomes, runBatch, resultsCSV } from '../src/lib/batch.js'
+
+const USAGE = 'Usage: heatpump-batch <homes.csv|homes.json> [-o results.csv]'
+
+function main(argv){
+  const args = [...argv]
+  let out = null, input = null
+  while (args.length){
+    const a = args.shift()
+    if (a === '-h' || a === '--help'){ console.log(USAGE); return 0 }
+    if (a === '-o' || a === '--out'){ out = args.shift(); if (!out){ console.error(USAGE); return 2 } }
+    else if (!input) input = a
+    else { console.error(`Unexpected argument "${a}"\n${USAGE}`); return 2 }
+  }
+  if (!input){ console.error(USAGE); return 2 }
+
+  let homes, unknown
+  try {
+    ({ homes, unknown } = parseHomes(readFileSync(input, 'utf8')))
+  } catch (e){
+    console.error(`${input}: ${e.message}`)
+    return 2
+  }
+  if (unknown.length) console.error(`Ignoring unknown columns: ${unknown.join(', ')}`)
+
+  const base = dirname(resolve(input))
+  const read = (path, what) => {
+    const p = resolve(base, path)
+    if (!existsSync(p)) throw new Error(`${what} not found: ${path}`)
+    return readFileSync(p, 'utf8')
+  }
+  const results = runBatch(homes, read, (r)=>{
+    if (r.status !== 'ok') console.error(`Row ${r.row} (${r.name}): ${r.errors.join('; ')}`)
+  })
+
+  const csv = resultsCSV(results)
+  if (out) writeFileSync(out, csv)
+  else process.stdout.write(csv)
+  const failed = results.filter(r=>r.status !== 'ok').length
+  console.error(`${results.length} home${results.length === 1 ? '' : 's'}: ${results.length - failed} ok, ${failed} failed${out ? ` → ${out}` : ''}`)
+  return failed ? 1 : 0
+}
+
+process.exitCode = main(process.argv.slice(2))
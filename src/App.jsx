@@ -1,294 +1,333 @@
 import React, { useMemo, useState } from 'react'
-import { BarChart, Bar, XAxis, YAxis, Tooltip, ResponsiveContainer } from 'recharts'
-
-// ---------- Helpers ----------
-const num = (v, d=0) => Number.isFinite(+v) ? +v : d
-const pairs = (txt) => txt.split(/\n|,/).map(s=>s.trim()).filter(Boolean)
-  .map(p => { const [a,b]=p.split(':').map(s=>s.trim()); return {x:+a,y:+b} })
-  .filter(p => Number.isFinite(p.x)&&Number.isFinite(p.y))
-  .sort((a,b)=>a.x-b.x)
-
-const interp = (tbl, t) => {
-  if (!tbl.length) return 2.2
-  if (t <= tbl[0].x) return tbl[0].y
-  if (t >= tbl[tbl.length-1].x) return tbl[tbl.length-1].y
-  for (let i=0;i<tbl.length-1;i++){
-    const a=tbl[i], b=tbl[i+1]
-    if (t>=a.x && t<=b.x){
-      const f = (t-a.x)/(b.x-a.x || 1)
-      return a.y + f*(b.y-a.y)
-    }
+import { BarChart, Bar, LineChart, Line, XAxis, YAxis, Tooltip, Legend, ReferenceLine, ResponsiveContainer } from 'recharts'
+import { defaultFields, MONTHLY_HDD } from './lib/defaults.js'
+import { calculate, resolveInputs } from './lib/engine.js'
+import { parseWeather } from './lib/weather.js'
+import { lifecycle } from './lib/lifecycle.js'
+import { comedTariff, nicorTariff } from './lib/tariffs.js'
+import LifecycleCard from './components/LifecycleCard.jsx'
+import TariffPicker from './components/TariffPicker.jsx'
+import ScenariosCard from './components/ScenariosCard.jsx'
+import BillsCard from './components/BillsCard.jsx'
+import EquipmentCard from './components/EquipmentCard.jsx'
+import SensitivityCard from './components/SensitivityCard.jsx'
+import MonteCarloCard from './components/MonteCarloCard.jsx'
+import MonthlyCard from './components/MonthlyCard.jsx'
+import LocationCard from './components/LocationCard.jsx'
+import BinsCard from './components/BinsCard.jsx'
+import EmissionsCard, { EmissionsInputs } from './components/EmissionsCard.jsx'
+import LockoutCard, { HybridControls } from './components/LockoutCard.jsx'
+import SolarCard from './components/SolarCard.jsx'
+import LoadEstimatorCard from './components/LoadEstimatorCard.jsx'
+import CoolingCard from './components/CoolingCard.jsx'
+import AppliancesCard, { ApplianceInputs } from './components/AppliancesCard.jsx'
+import IncentivesCard from './components/IncentivesCard.jsx'
+import { PairsGrid, CopChart, BinsChart } from './components/TableEditor.jsx'
+import { pairs, normBins } from './lib/helpers.js'
+import { emissions } from './lib/emissions.js'
+import { climate, findStation, binsText as stationBinsText } from './lib/climate.js'
+import { copText as equipmentCopText, capText as equipmentCapText } from './lib/equipment.js'
+import { calcArgs, defaultInputs, withDefaults } from './lib/scenarios.js'
+import { decodeInputs, shareURL } from './lib/share.js'
+import { validateInputs, describeErrors } from './lib/validate.js'
+import { reportHTML, openReport } from './lib/report.js'
+import FieldError, { TableErrors } from './components/FieldError.jsx'
+
+export default function App(){
+  // A share link in the URL hash seeds the initial state
+  const [linked] = useState(()=>decodeInputs(window.location.hash))
+  const init = linked?.inputs || defaultInputs()
+  const [linkWarnings, setLinkWarnings] = useState(linked?.warnings || [])
+  const [copied, setCopied] = useState(false)
+
+  const [f, setF] = useState(init.f)
+  const [useTable, setUseTable] = useState(init.useTable)
+  const [copText, setCopText] = useState(init.copText)
+  const [binsText, setBinsText] = useState(init.binsText)
+  const [weather, setWeather] = useState(null)
+  const [weatherErr, setWeatherErr] = useState('')
+  const [useHourly, setUseHourly] = useState(false)
+  const [useCapacity, setUseCapacity] = useState(init.useCapacity)
+  const [capText, setCapText] = useState(init.capText)
+  const [backup, setBackup] = useState(init.backup)
+  const [elecTariff, setElecTariff] = useState(init.elecTariff)
+  const [gasTariff, setGasTariff] = useState(init.gasTariff)
+  const [equipment, setEquipment] = useState(init.equipment)
+  const [baseProfile, setBaseProfile] = useState(init.baseProfile)
+  const [location, setLocation] = useState(init.location)
+  const [gridBasis, setGridBasis] = useState(init.gridBasis)
+  const [gridProfile, setGridProfile] = useState(init.gridProfile)
+  const [hybridMode, setHybridMode] = useState(init.hybridMode)
+  const [pvPolicy, setPvPolicy] = useState(init.pvPolicy)
+  const [pvProfile, setPvProfile] = useState(init.pvProfile)
+  const [coolText, setCoolText] = useState(init.coolText)
+  const [coolBinsText, setCoolBinsText] = useState(init.coolBinsText)
+  const [appliances, setAppliances] = useState(init.appliances)
+  const [incentives, setIncentives] = useState(init.incentives)
+
+  const inputs = useMemo(()=>({ f, useTable, copText, binsText, useCapacity, capText, backup, elecTariff, gasTariff, equipment, baseProfile, location, gridBasis, gridProfile, hybridMode, pvPolicy, pvProfile, coolText, coolBinsText, appliances, incentives }),
+    [f, useTable, copText, binsText, useCapacity, capText, backup, elecTariff, gasTariff, equipment, baseProfile, location, gridBasis, gridProfile, hybridMode, pvPolicy, pvProfile, coolText, coolBinsText, appliances, incentives])
+  const hourly = useTable && useHourly && weather
+  const args = useMemo(()=>({ ...calcArgs(inputs), hours: hourly ? weather.hours : null }), [inputs, hourly, weather])
+  const check = useMemo(()=>validateInputs(inputs), [inputs])
+  const err = check.fields
+  // Nothing is computed from inputs that failed validation
+  const calc = useMemo(()=>check.ok ? calculate(args) : null, [check, args])
+  const life = useMemo(()=>calc && lifecycle(calc, f), [calc, f])
+  const em = useMemo(()=>calc && emissions(calc, f, { basis: gridBasis, profile: gridProfile }), [calc, f, gridBasis, gridProfile])
+  // Bin model kept alongside the hourly run for side-by-side comparison
+  const binCalc = useMemo(()=>calc && hourly ? calculate(calcArgs(inputs)) : null, [calc, inputs, hourly])
+  const p = resolveInputs(f)
+  const station = findStation(location)
+  const binsForEstimate = useMemo(()=>normBins(pairs(binsText)), [binsText])
+
+  // The table editors, charts and textareas all read the same text state
+  const editCop = (t) => { setCopText(t); setEquipment(null) }
+  const editBins = (t) => { setBinsText(t); setLocation(null) }
+  const crossover = calc ? calc.crossoverTemp : null
+  // Where the hybrid actually hands off to gas: the lockout setpoint, if any
+  const switchTemp = calc?.lockout?.setpoint ?? crossover
+  const switchLabel = { lockout: 'Lockout', optimal: 'Optimal lockout' }[hybridMode] || 'Crossover'
+  const binShare = (r) => {
+    const b = binsForEstimate.find(b=>b.x === +r.x)
+    return b ? `${b.y.toFixed(1)}%` : '—'
   }
-  return tbl[tbl.length-1].y
-}
 
-const normBins = (bins) => {
-  const s = bins.reduce((k,b)=>k+b.y,0) || 1
-  return bins.map(b=>({x:b.x, y:b.y*100/s}))
-}
+  const set = (k) => (e) => setF(s => ({...s, [k]: e.target.value}))
+  const reset = () => setF(defaultFields())
+
+  const applyInputs = (saved) => {
+    const s = withDefaults(saved)
+    setF(s.f)
+    setUseTable(s.useTable)
+    setCopText(s.copText)
+    setBinsText(s.binsText)
+    setUseCapacity(s.useCapacity)
+    setCapText(s.capText)
+    setBackup(s.backup)
+    setElecTariff(s.elecTariff)
+    setGasTariff(s.gasTariff)
+    setEquipment(s.equipment)
+    setBaseProfile(s.baseProfile)
+    setLocation(s.location)
+    setGridBasis(s.gridBasis)
+    setGridProfile(s.gridProfile)
+    setHybridMode(s.hybridMode)
+    setPvPolicy(s.pvPolicy)
+    setPvProfile(s.pvProfile)
+    setCoolText(s.coolText)
+    setCoolBinsText(s.coolBinsText)
+    setAppliances(s.appliances)
+    setIncentives(s.incentives)
+  }
 
-// ---------- Defaults ----------
-const D = {
-  kwhBase: 97300,
-  supplyC: 3.331,
-  txC: 1.767,
-  dfcNon: 6.062,
-  dfcEH:  2.924,
-  gasSupply: 0.52,
-  gasDist:   0.2134,
-  afue: 0.95,
-  heatMMBtu: 37.5,
-  seasonalCOP: 2.2,
-  gross: 10354,
-  credits: 2600
-}
+  const pickLocation = (st) => {
+    const c = climate(st)
+    setBinsText(stationBinsText(c.bins))
+    setCoolBinsText(stationBinsText(c.coolBins))
+    setLocation(st.id)
+    setF(s=>({ ...s, designTemp: String(st.design) }))
+  }
 
-const DEFAULT_COP = `60:3.77
-55:3.56
-50:3.39
-45:3.24
-40:3.12
-35:2.75
-30:2.62
-25:2.50
-20:2.37
-15:2.24
-10:2.11
-5:2.00
-0:1.87
--5:1.74
--10:1.65`
-
-const DEFAULT_BINS = `60:0
-55:2
-50:4
-45:6
-40:8
-35:11
-30:13
-25:14
-20:13
-15:10
-10:8
-5:6
-0:3
--5:1.5
--10:0.5`
+  const pickEquipment = (m) => {
+    setCopText(equipmentCopText(m))
+    setCapText(equipmentCapText(m))
+    setEquipment(m.name)
+  }
 
-export default function App(){
-  const [f, setF] = useState({
-    kwhBase: String(D.kwhBase),
-    supplyC: String(D.supplyC),
-    txC: String(D.txC),
-    dfcNon: String(D.dfcNon),
-    dfcEH:  String(D.dfcEH),
-    gasSupply: String(D.gasSupply),
-    gasDist:   String(D.gasDist),
-    afue: String(D.afue),
-    heatMMBtu: String(D.heatMMBtu),
-    seasonalCOP: String(D.seasonalCOP),
-    gross: String(D.gross),
-    credits: String(D.credits),
-  })
-  const [useTable, setUseTable] = useState(true)
-  const [copText, setCopText] = useState(DEFAULT_COP)
-  const [binsText, setBinsText] = useState(DEFAULT_BINS)
-
-  const calc = useMemo(()=>{
-    const kwhBase = num(f.kwhBase, D.kwhBase)
-    const supplyC = num(f.supplyC, D.supplyC)
-    const txC     = num(f.txC, D.txC)
-    const dfcNon  = num(f.dfcNon, D.dfcNon)
-    const dfcEH   = num(f.dfcEH, D.dfcEH)
-    const gasSupply = num(f.gasSupply, D.gasSupply)
-    const gasDist   = num(f.gasDist, D.gasDist)
-    const afue      = num(f.afue, D.afue)
-    const heatMMBtu = num(f.heatMMBtu, D.heatMMBtu)
-    const seasonalCOP = num(f.seasonalCOP, D.seasonalCOP)
-    const gross = num(f.gross, D.gross)
-    const credits = num(f.credits, D.credits)
-
-    const gasAllIn = gasSupply + gasDist
-    const allInNon = (supplyC + txC + dfcNon)/100
-    const allInEH  = (supplyC + txC + dfcEH)/100
-
-    // Baseline
-    const baselineElec = kwhBase * allInNon
-    const baselineGas  = (heatMMBtu/0.1/afue) * gasAllIn
-    const baseline = baselineElec + baselineGas
-
-    // All-electric
-    let hpKWh = 0
-    let hybrid = null, hybridGas=0, hybridHPkWh=0
-
-    let crossoverTemp = null
-    let crossoverNote = ""
-
-    if (useTable){
-      const table = pairs(copText)
-      const bins  = normBins(pairs(binsText))
-      for (const b of bins){
-        const cop = interp(table, b.x)
-        const mmbtu = heatMMBtu*(b.y/100)
-        hpKWh += (mmbtu*293.071)/cop
-      }
-      // Hybrid choose cheapest by bin
-      const costGasPerMMBtu = (1/0.1/afue)*gasAllIn
-      let costHPsum=0, costGASsum=0
-      for (const b of bins){
-        const cop = interp(table, b.x)
-        const mmbtu = heatMMBtu*(b.y/100)
-        const kwhPerMMBtu = 293.071 / cop
-        const costHPperMMBtu = kwhPerMMBtu * allInEH
-        if (costHPperMMBtu <= costGasPerMMBtu){
-          costHPsum += mmbtu*costHPperMMBtu
-          hybridHPkWh += mmbtu*kwhPerMMBtu
-        } else {
-          costGASsum += mmbtu*costGasPerMMBtu
-          hybridGas += mmbtu
-        }
-      }
-      hybrid = kwhBase*allInEH + costHPsum + costGASsum
-
-      // ---- Crossover temperature (HP $/MMBtu = Gas $/MMBtu) ----
-      if (table.length > 1){
-        const hpCost = (t) => (293.071 / interp(table, t)) * allInEH
-        const tMin = Math.min(-20, table[0].x)
-        const tMax = Math.max(65, table[table.length-1].x)
-        let prevT = tMin
-        let prevDiff = hpCost(prevT) - costGasPerMMBtu
-        for (let t=tMin+1; t<=tMax; t++){
-          const diff = hpCost(t) - costGasPerMMBtu
-          if ((prevDiff <= 0 && diff >= 0) || (prevDiff >= 0 && diff <= 0)) {
-            const frac = Math.abs(diff - prevDiff) < 1e-9 ? 0 : (0 - prevDiff) / (diff - prevDiff)
-            crossoverTemp = +(prevT + frac * (t - prevT)).toFixed(1)
-            break
-          }
-          prevT = t
-          prevDiff = diff
-        }
-        if (crossoverTemp === null){
-          const dMin = hpCost(tMin) - costGasPerMMBtu
-          const dMax = hpCost(tMax) - costGasPerMMBtu
-          if (dMin < 0 && dMax < 0)      crossoverNote = "HP cheaper at all temperatures in range"
-          else if (dMin > 0 && dMax > 0) crossoverNote = "Gas cheaper at all temperatures in range"
-          else                            crossoverNote = "Crossover outside modeled temperature range"
-        }
-      }
-
-    } else {
-      hpKWh = (heatMMBtu*293.071)/seasonalCOP
-      crossoverNote = "Provide a COP table to compute a precise crossover temperature"
+  const copyLink = async () => {
+    const url = shareURL(inputs)
+    window.history.replaceState(null, '', url)
+    try {
+      await navigator.clipboard.writeText(url)
+      setCopied(true)
+      setTimeout(()=>setCopied(false), 2000)
+    } catch {
+      window.prompt('Copy this link', url)
     }
+  }
 
-    const allElectric = (kwhBase + hpKWh) * allInEH
-
-    const savingsAll = baseline - allElectric
-    const savingsHybrid = hybrid!=null ? baseline - hybrid : null
-    const net = gross - credits
-    const paybackAll = savingsAll>0 ? net/savingsAll : null
-    const paybackHybrid = (savingsHybrid && savingsHybrid>0) ? net/savingsHybrid : null
-    const dfcSavings = kwhBase * ((dfcNon - dfcEH)/100)
-
-    const gasHeatCost = (heatMMBtu/0.1/afue)*gasAllIn
-    const hpHeatCost  = hpKWh * allInEH
-    const fuelSwitch  = gasHeatCost - hpHeatCost
-
-    const chart = [
-      { name:'Baseline (Gas+AC)', cost: Math.round(baseline) },
-      { name:'All-Electric HP',   cost: Math.round(allElectric) },
-      ...(hybrid!=null ? [{ name:'Hybrid (cheapest)', cost: Math.round(hybrid)}] : []),
-    ]
-
-    return {
-      baseline: Math.round(baseline),
-      allElectric: Math.round(allElectric),
-      hybrid: hybrid!=null ? Math.round(hybrid) : null,
-      savingsAll: Math.round(savingsAll),
-      savingsHybrid: savingsHybrid!=null ? Math.round(savingsHybrid) : null,
-      paybackAll: paybackAll ? +paybackAll.toFixed(1) : null,
-      paybackHybrid: paybackHybrid ? +paybackHybrid.toFixed(1) : null, // <-- newly surfaced
-      dfcSavings: Math.round(dfcSavings),
-      gasHeatCost: Math.round(gasHeatCost),
-      hpHeatCost: Math.round(hpHeatCost),
-      fuelSwitch: Math.round(fuelSwitch),
-      crossoverTemp,
-      crossoverNote,
-      chart
+  const loadWeather = async (e) => {
+    const file = e.target.files?.[0]
+    if (!file) return
+    try {
+      setWeather(parseWeather(await file.text()))
+      setWeatherErr('')
+      setUseHourly(true)
+    } catch (err){
+      setWeatherErr(err.message)
     }
-  }, [f, useTable, copText, binsText])
-
-  const set = (k) => (e) => setF(s => ({...s, [k]: e.target.value}))
-  const reset = () => setF(Object.fromEntries(Object.entries(D).map(([k,v])=>[k,String(v)])))
+  }
 
   return (
     <div className="container">
       <h1>Heat Pump Break-Even & Payback</h1>
       <p className="note">No login needed. Enter your inputs or use the Chicago defaults and compare Baseline vs All-Electric vs Hybrid (bin-by-bin).</p>
+      {linkWarnings.length > 0 && (
+        <div className="pill" style={{background:'#fef3c7', marginBottom:16}}>
+          <div className="note"><b>Some values in this link or file could not be used:</b></div>
+          <ul className="note" style={{margin:'4px 0'}}>{linkWarnings.map(w=><li key={w}>{w}</li>)}</ul>
+          <button className="btn secondary" onClick={()=>setLinkWarnings([])}>Dismiss</button>
+        </div>
+      )}
 
       <div className="grid grid-3" style={{gridTemplateColumns:'repeat(auto-fit, minmax(260px, 1fr))'}}>
         <div className="card">
           <h2>Electricity</h2>
-          <label>Annual non-heating kWh</label><input value={f.kwhBase} onChange={set('kwhBase')} />
-          <div className="grid grid-3">
-            <div><label>Supply (¢/kWh)</label><input value={f.supplyC} onChange={set('supplyC')} /></div>
-            <div><label>TX (¢/kWh)</label><input value={f.txC} onChange={set('txC')} /></div>
-            <div><label>DFC non-elec (¢/kWh)</label><input value={f.dfcNon} onChange={set('dfcNon')} /></div>
-          </div>
-          <label>DFC electric-heat (¢/kWh)</label><input value={f.dfcEH} onChange={set('dfcEH')} />
+          <label>Annual non-heating kWh</label><input value={f.kwhBase} onChange={set('kwhBase')} /><FieldError msg={err.kwhBase} />
+          <TariffPicker fuel="electric" tariff={elecTariff} preset={comedTariff(p)} onChange={setElecTariff}>
+            <div className="grid grid-3">
+              <div><label>Supply (¢/kWh)</label><input value={f.supplyC} onChange={set('supplyC')} /><FieldError msg={err.supplyC} /></div>
+              <div><label>TX (¢/kWh)</label><input value={f.txC} onChange={set('txC')} /><FieldError msg={err.txC} /></div>
+              <div><label>DFC non-elec (¢/kWh)</label><input value={f.dfcNon} onChange={set('dfcNon')} /><FieldError msg={err.dfcNon} /></div>
+            </div>
+            <label>DFC electric-heat (¢/kWh)</label><input value={f.dfcEH} onChange={set('dfcEH')} /><FieldError msg={err.dfcEH} />
+          </TariffPicker>
         </div>
 
         <div className="card">
           <h2>Gas & Heating</h2>
+          <TariffPicker fuel="gas" tariff={gasTariff} preset={nicorTariff(p)} onChange={setGasTariff}>
+            <div className="grid grid-2">
+              <div><label>Gas supply ($/therm)</label><input value={f.gasSupply} onChange={set('gasSupply')} /><FieldError msg={err.gasSupply} /></div>
+              <div><label>Gas delivery ($/therm)</label><input value={f.gasDist} onChange={set('gasDist')} /><FieldError msg={err.gasDist} /></div>
+            </div>
+            <label>Customer charge ($/month)</label><input value={f.gasFixed} onChange={set('gasFixed')} /><FieldError msg={err.gasFixed} />
+            <p className="note">All-electric drops this charge, so only enter it once the water heater, range and dryer are set below.</p>
+          </TariffPicker>
           <div className="grid grid-2">
-            <div><label>Gas supply ($/therm)</label><input value={f.gasSupply} onChange={set('gasSupply')} /></div>
-            <div><label>Gas delivery ($/therm)</label><input value={f.gasDist} onChange={set('gasDist')} /></div>
-          </div>
-          <div className="grid grid-2">
-            <div><label>AFUE (0–1)</label><input value={f.afue} onChange={set('afue')} /></div>
-            <div><label>Heat load (MMBtu/yr)</label><input value={f.heatMMBtu} onChange={set('heatMMBtu')} /></div>
+            <div><label>AFUE (0–1)</label><input value={f.afue} onChange={set('afue')} /><FieldError msg={err.afue} /></div>
+            <div><label>Heat load (MMBtu/yr)</label><input value={f.heatMMBtu} onChange={set('heatMMBtu')} /><FieldError msg={err.heatMMBtu} /></div>
           </div>
           <div className="row" style={{marginTop:8}}>
             <input type="checkbox" id="usetable" checked={useTable} onChange={()=>setUseTable(v=>!v)} />
             <label htmlFor="usetable">Use COP table + hybrid switching</label>
           </div>
-          {!useTable && (<><label>Seasonal COP</label><input value={f.seasonalCOP} onChange={set('seasonalCOP')} /></>)}
+          {!useTable && (<><label>Seasonal COP</label><input value={f.seasonalCOP} onChange={set('seasonalCOP')} /><FieldError msg={err.seasonalCOP} /></>)}
         </div>
 
         <div className="card">
           <h2>Project Costs</h2>
           <div className="grid grid-2">
-            <div><label>Gross install ($)</label><input value={f.gross} onChange={set('gross')} /></div>
-            <div><label>Tax credits ($)</label><input value={f.credits} onChange={set('credits')} /></div>
+            <div><label>Gross install ($)</label><input value={f.gross} onChange={set('gross')} /><FieldError msg={err.gross} /></div>
+            <div><label>Net after incentives ($)</label><div style={{fontSize:18,fontWeight:700,padding:'6px 0'}}>{calc ? calc.netCost.toLocaleString() : '—'}</div></div>
+            <div><label>Heat pump size (tons)</label><input value={f.hpTons} onChange={set('hpTons')} /><FieldError msg={err.hpTons} /></div>
+            <div><label>Household income (% of AMI)</label><input value={f.incomePct} onChange={set('incomePct')} /><FieldError msg={err.incomePct} /></div>
           </div>
           <div className="row" style={{marginTop:10}}>
             <button className="btn secondary" onClick={reset}>Use Defaults</button>
+            <button className="btn secondary" onClick={copyLink}>{copied ? 'Link copied' : 'Copy share link'}</button>
+            <button className="btn secondary" onClick={()=>openReport(reportHTML({ inputs, calc }))} disabled={!check.ok}>Generate report</button>
           </div>
+          <p className="note">The report opens in a new window ready to print or save as PDF.</p>
         </div>
+
+        <EmissionsInputs f={f} set={set} errors={err} basis={gridBasis} onBasis={setGridBasis}
+          profile={gridProfile} onProfile={e=>setGridProfile(e.target.value)} profileError={check.gridProfile} />
+
+        <SolarCard f={f} set={set} errors={err} policy={pvPolicy} onPolicy={setPvPolicy}
+          profile={pvProfile} onProfile={e=>setPvProfile(e.target.value)} profileError={check.pvProfile} />
+
+        <CoolingCard f={f} set={set} errors={err} eerText={coolText} onEER={e=>setCoolText(e.target.value)}
+          binsText={coolBinsText} onBins={e=>setCoolBinsText(e.target.value)} eerErrors={check.eer} binsErrors={check.coolBins} />
+
+        <ApplianceInputs f={f} set={set} errors={err} appliances={appliances} onChange={setAppliances} />
       </div>
 
+      <IncentivesCard list={incentives} onChange={setIncentives} stack={calc ? calc.incentives : null} gross={p.gross} errors={check.incentives} />
+
       {useTable && (
         <div className="grid grid-2" style={{gridTemplateColumns:'repeat(auto-fit, minmax(320px, 1fr))', marginTop:16}}>
           <div className="card">
             <h2>COP Table (°F:COP)</h2>
-            <textarea rows="10" value={copText} onChange={e=>setCopText(e.target.value)} />
-            <p className="note">One per line or comma-separated. We linearly interpolate.</p>
+            <CopChart text={copText} scale={p.copScale} crossoverTemp={crossover} />
+            <PairsGrid text={copText} onChange={editCop} valueLabel="COP" positive />
+            <details style={{marginTop:8}}>
+              <summary className="note">Paste or edit as text</summary>
+              <textarea rows="10" value={copText} onChange={e=>editCop(e.target.value)} />
+            </details>
+            <TableErrors errors={check.cop} />
+            <p className="note">One per line or comma-separated. We linearly interpolate between rows and hold the end values beyond the table (dashed).</p>
           </div>
           <div className="card">
             <h2>Weather Bins (°F:% of heating)</h2>
-            <textarea rows="10" value={binsText} onChange={e=>setBinsText(e.target.value)} />
-            <p className="note">We normalize to 100%. Defaults approximate Chicago.</p>
+            <BinsChart text={binsText} crossoverTemp={crossover} switchTemp={switchTemp} switchLabel={switchLabel} />
+            <PairsGrid text={binsText} onChange={editBins} valueLabel="% of heating" extra={{ label: 'Normalized', value: binShare }} />
+            <details style={{marginTop:8}}>
+              <summary className="note">Paste or edit as text</summary>
+              <textarea rows="10" value={binsText} onChange={e=>editBins(e.target.value)} />
+            </details>
+            <TableErrors errors={check.bins} />
+            <p className="note">We normalize to 100%. Defaults approximate Chicago; pick a climate location to replace them with modeled bins for that station. Bins at or above the {switchLabel.toLowerCase()}{hybridMode !== 'ideal' ? ' setpoint' : ''} (blue) are where the hybrid runs the heat pump.</p>
+          </div>
+          <LocationCard location={location} onPick={pickLocation} />
+          <HybridControls mode={hybridMode} onMode={setHybridMode} f={f} set={set} error={err.lockoutTemp} crossoverTemp={crossover} />
+          <EquipmentCard equipment={equipment} onPick={pickEquipment} />
+          <div className="card">
+            <h2>Hourly Weather (8760)</h2>
+            <label>EPW or TMY3 CSV file</label>
+            <input type="file" accept=".epw,.csv" onChange={loadWeather} />
+            {weatherErr && <p className="note" style={{color:'#b91c1c'}}>{weatherErr}</p>}
+            {weather && <p className="note">{weather.name} ({weather.source}) — {weather.hours.length.toLocaleString()} hours</p>}
+            <label>Balance point (°F)</label><input value={f.balancePoint} onChange={set('balancePoint')} /><FieldError msg={err.balancePoint} />
+            <div className="row" style={{marginTop:8}}>
+              <input type="checkbox" id="usehourly" checked={useHourly} disabled={!weather} onChange={()=>setUseHourly(v=>!v)} />
+              <label htmlFor="usehourly">Use hourly simulation instead of bins</label>
+            </div>
+            <p className="note">Heat load is spread over the year by heating degree-hours below the balance point; COP is interpolated for every hour.</p>
+          </div>
+          <div className="card">
+            <h2>Capacity & Backup Heat</h2>
+            <div className="row">
+              <input type="checkbox" id="usecap" checked={useCapacity} onChange={()=>setUseCapacity(v=>!v)} />
+              <label htmlFor="usecap">Limit heat pump by rated capacity</label>
+            </div>
+            {useCapacity && (<>
+              <label>Capacity table (°F:kBtu/h)</label>
+              <textarea rows="6" value={capText} onChange={e=>{ setCapText(e.target.value); setEquipment(null) }} />
+              <TableErrors errors={check.cap} />
+              <div className="grid grid-2">
+                <div><label>Design heat loss (Btu/h)</label><input value={f.designLoad} onChange={set('designLoad')} /><FieldError msg={err.designLoad} /></div>
+                <div><label>Design temp (°F)</label><input value={f.designTemp} onChange={set('designTemp')} /><FieldError msg={err.designTemp} /></div>
+              </div>
+              <label>All-electric backup</label>
+              <select value={backup} onChange={e=>setBackup(e.target.value)}>
+                <option value="electric">Electric resistance (COP 1)</option>
+                <option value="gas">Gas furnace</option>
+              </select>
+            </>)}
+            <p className="note">Heat loss runs linearly from 0 at the balance point to the design heat loss at the design temp. Hybrid always uses its furnace for unmet load.</p>
           </div>
         </div>
       )}
 
+      <BillsCard afue={p.afue} hours={hourly ? weather.hours : null} balancePoint={p.balancePoint} monthlyHDD={args.monthlyHDD} onApply={(v)=>setF(s=>({...s, ...v}))} />
+
+      <LoadEstimatorCard bins={binsForEstimate} hdd65={station ? station.hdd65 : MONTHLY_HDD.reduce((a,b)=>a + b, 0)}
+        climateName={station ? station.label : 'Chicago defaults'} hours={hourly ? weather.hours : null}
+        designTemp={f.designTemp} onApply={(v)=>setF(s=>({...s, ...v}))} />
+
+      {!check.ok && (
+        <div className="card" style={{marginTop:16, borderColor:'#b91c1c'}}>
+          <h2>Results</h2>
+          <div className="pill" style={{background:'#fee2e2'}}>
+            <div><b>Results invalid</b> — fix {check.count === 1 ? 'this input' : `these ${check.count} inputs`} to see costs and payback:</div>
+            <ul className="note" style={{margin:'4px 0'}}>{describeErrors(check).map((m,i)=><li key={i}>{m}</li>)}</ul>
+          </div>
+        </div>
+      )}
+
+      {check.ok && (<>
       <div className="grid grid-2" style={{gridTemplateColumns:'repeat(auto-fit, minmax(320px, 1fr))', marginTop:16}}>
         <div className="card">
           <h2>Results</h2>
+          {calc.location && <p className="note">Climate: <b>{calc.location.name}</b> — {calc.location.source}</p>}
+          {calc.equipment && <p className="note">Heat pump: <b>{calc.equipment}</b></p>}
+          {hourly && <p className="note">Hourly simulation: {weather.name}, {calc.degreeHours.toLocaleString()} °F·h below {f.balancePoint}°F</p>}
           <div className="grid grid-2">
             <div className="pill muted"><div className="note">Baseline (Gas+AC)</div><div style={{fontSize:22,fontWeight:700}}>${(calc.baseline).toLocaleString()}</div></div>
             <div className="pill muted"><div className="note">All-Electric HP</div><div style={{fontSize:22,fontWeight:700}}>${(calc.allElectric).toLocaleString()}</div></div>
-            {calc.hybrid!==null && <div className="pill muted" style={{gridColumn:'1 / -1'}}><div className="note">Hybrid (cheapest)</div><div style={{fontSize:22,fontWeight:700}}>${(calc.hybrid).toLocaleString()}</div></div>}
+            {calc.hybrid!==null && <div className="pill muted" style={{gridColumn:'1 / -1'}}><div className="note">{calc.chart[2].name}</div><div style={{fontSize:22,fontWeight:700}}>${(calc.hybrid).toLocaleString()}</div></div>}
           </div>
 
           <div className="grid grid-2" style={{marginTop:8}}>
@@ -302,16 +341,39 @@ export default function App(){
             </div>
           </div>
 
+          {calc.pv && (
+            <div className="pill good" style={{marginTop:8}}>
+              <div className="note">All-Electric + {f.pvKW} kW PV</div>
+              <div style={{fontSize:22,fontWeight:700}}>${calc.pv.allElectricPV.toLocaleString()} <span className="note">/yr, saves ${calc.pv.savings.toLocaleString()} vs Baseline</span></div>
+              <div className="note">
+                Combined HP+PV payback {calc.pv.payback != null ? `${calc.pv.payback} yrs` : '—'} &nbsp;|&nbsp; PV alone {calc.pv.pvPayback != null ? `${calc.pv.pvPayback} yrs` : '—'} on ${calc.pv.netCost.toLocaleString()} net
+              </div>
+              <div className="note">
+                {calc.pv.produced.toLocaleString()} kWh produced ({calc.pv.offsetPct}% of all-electric use): {calc.pv.selfUsed.toLocaleString()} used on site, {calc.pv.exported.toLocaleString()} exported
+                {calc.pv.exportCredit != null && ` for $${calc.pv.exportCredit.toLocaleString()} credit`}
+                {calc.pv.forfeitedKWh > 0 && `; ${calc.pv.forfeitedKWh.toLocaleString()} kWh surplus forfeited at year end`}
+              </div>
+            </div>
+          )}
+
+          {calc.cooling && (
+            <div className="pill muted" style={{marginTop:8}}>
+              <div className="note">Savings split: heating vs cooling ({calc.cooling.acKWh.toLocaleString()} kWh AC → {calc.cooling.hpKWh.toLocaleString()} kWh heat pump)</div>
+              <div>All-Electric: heating <b>${calc.cooling.heatingSavingsAll.toLocaleString()}</b> + cooling <b>${calc.cooling.savingsAll.toLocaleString()}</b></div>
+              {calc.cooling.savingsHybrid != null && <div>Hybrid: heating <b>${calc.cooling.heatingSavingsHybrid.toLocaleString()}</b> + cooling <b>${calc.cooling.savingsHybrid.toLocaleString()}</b></div>}
+            </div>
+          )}
+
           {/* NEW: Hybrid payback (switching at crossover via bin-by-bin choice) */}
           {calc.paybackHybrid !== null && (
             <div className="pill muted" style={{marginTop:8}}>
-              <div className="note">Simple payback (Hybrid @ crossover)</div>
+              <div className="note">Simple payback ({calc.lockout?.setpoint != null ? `Hybrid @ ${calc.lockout.setpoint}°F lockout` : 'Hybrid @ crossover'})</div>
               <div style={{fontSize:22,fontWeight:700}}>{`${calc.paybackHybrid} yrs`}</div>
             </div>
           )}
 
           <div className="pill muted" style={{marginTop:8}}>
-            <div className="note">DFC savings on base kWh (delivery only)</div>
+            <div className="note">{elecTariff ? 'Electric-heat rate savings on base kWh' : 'DFC savings on base kWh (delivery only)'}</div>
             <div style={{fontSize:20,fontWeight:700}}>${(calc.dfcSavings).toLocaleString()}/yr</div>
           </div>
 
@@ -326,6 +388,33 @@ export default function App(){
               {calc.crossoverTemp !== null ? `${calc.crossoverTemp}°F` : (calc.crossoverNote || '—')}
             </div>
           </div>
+
+          {useCapacity && useTable && (
+            <div className="grid grid-2" style={{marginTop:8}}>
+              <div className="pill muted">
+                <div className="note">HP balance point (capacity = heat loss)</div>
+                <div style={{fontSize:18,fontWeight:700}}>{calc.hpBalancePoint !== null ? `${calc.hpBalancePoint}°F` : (calc.hpBalanceNote || '—')}</div>
+              </div>
+              <div className="pill muted">
+                <div className="note">Backup heat (All-Electric)</div>
+                <div>{calc.unmetMMBtu} MMBtu unmet → {backup === 'gas' ? `${calc.backupTherms.toLocaleString()} therms` : `${calc.backupKWh.toLocaleString()} kWh`}</div>
+              </div>
+            </div>
+          )}
+
+          {binCalc && (
+            <div className="pill muted" style={{marginTop:8}}>
+              <div className="note">Hourly vs weather-bin model</div>
+              <table style={{width:'100%', fontSize:13}}>
+                <thead><tr><th></th><th style={{textAlign:'right'}}>Hourly</th><th style={{textAlign:'right'}}>Bins</th></tr></thead>
+                <tbody>
+                  {[['Baseline','baseline'],['All-Electric','allElectric'],['Hybrid','hybrid'],['Savings (All-Electric)','savingsAll'],['Savings (Hybrid)','savingsHybrid']].map(([label,k])=>(
+                    <tr key={k}><td>{label}</td><td style={{textAlign:'right'}}>${calc[k]?.toLocaleString() ?? '—'}</td><td style={{textAlign:'right'}}>${binCalc[k]?.toLocaleString() ?? '—'}</td></tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
         </div>
 
         <div className="card">
@@ -341,7 +430,43 @@ export default function App(){
             </ResponsiveContainer>
           </div>
         </div>
+
+        <EmissionsCard em={em} />
+        {calc.appliances && <AppliancesCard appliances={calc.appliances} gasFixed={p.gasFixed} />}
+
+        {calc.lockout?.curve && <LockoutCard lockout={calc.lockout} hybrid={calc.hybrid} />}
+
+        <div className="card">
+          <h2>Cumulative Net Savings</h2>
+          <div style={{width:'100%', height:300}}>
+            <ResponsiveContainer>
+              <LineChart data={life.chart}>
+                <XAxis dataKey="year" />
+                <YAxis />
+                <Tooltip formatter={(v)=>`$${Number(v).toLocaleString()}`} labelFormatter={(y)=>`Year ${y}`} />
+                <Legend />
+                <ReferenceLine y={0} stroke="#999" />
+                <Line type="monotone" dataKey="allElectric" name="All-Electric" stroke="#2563eb" dot={false} />
+                {life.hybrid && <Line type="monotone" dataKey="hybrid" name="Hybrid" stroke="#16a34a" dot={false} />}
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
       </div>
+
+      </>)}
+
+      <MonthlyCard monthly={calc ? { ...calc.monthly, allElectricPV: calc.pv?.monthly } : null} baseProfile={baseProfile} onBaseProfile={e=>setBaseProfile(e.target.value)} profileError={check.profile} />
+
+      <BinsCard inputs={inputs} calc={calc} onImport={({ inputs: s, warnings })=>{ applyInputs(s); setLinkWarnings(warnings) }} />
+
+      <LifecycleCard f={f} set={set} life={life} errors={err} />
+
+      <SensitivityCard args={args} copScale={f.copScale} onCopScale={set('copScale')} copScaleError={err.copScale} invalid={!check.ok} />
+
+      <MonteCarloCard args={args} invalid={!check.ok} />
+
+      <ScenariosCard inputs={inputs} onLoad={applyInputs} />
     </div>
   )
 }
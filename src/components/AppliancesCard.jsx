@@ -0,0 +1,72 @@
+import React from 'react'
+import { END_USES, APPLIANCE_STATES } from '../lib/appliances.js'
+import FieldError from './FieldError.jsx'
+
+const money = (v) => v == null ? '—' : `${v < 0 ? '-' : ''}$${Math.abs(v).toLocaleString()}`
+
+// [field, label, switch only] per end use, shown once the end use is modeled
+const FIELDS = {
+  water: [['hwGallons', 'Hot water (gal/day)'], ['gasWhUEF', 'Gas heater UEF'], ['hpwhUEF', 'HPWH UEF', true], ['hpwhCost', 'HPWH cost ($)', true], ['hpwhCredits', 'HPWH credits ($)', true]],
+  range: [['rangeTherms', 'Range gas (therms/yr)'], ['rangeCost', 'Induction cost ($)', true], ['rangeCredits', 'Induction credits ($)', true]],
+  dryer: [['dryerLoads', 'Loads per year'], ['hpDryerKWh', 'HP dryer kWh/load', true], ['dryerCost', 'HP dryer cost ($)', true], ['dryerCredits', 'HP dryer credits ($)', true]],
+}
+
+// Gas appliance inputs (sits with the other input cards)
+export function ApplianceInputs({ f, set, errors={}, appliances, onChange }){
+  return (
+    <div className="card">
+      <h2>Other Gas Appliances</h2>
+      {END_USES.map(([k, name, electric])=>(
+        <div key={k} style={{marginBottom:8}}>
+          <label>{name} → {electric}</label>
+          <select value={appliances[k]} onChange={e=>onChange({ ...appliances, [k]: e.target.value })}>
+            {APPLIANCE_STATES.map(([s, label])=><option key={s} value={s}>{label}</option>)}
+          </select>
+          {appliances[k] !== 'none' && (
+            <div className="grid grid-3">
+              {FIELDS[k].filter(([, , only])=>!only || appliances[k] === 'switch').map(([key, label])=>(
+                <div key={key}><label>{label}</label><input value={f[key]} onChange={set(key)} /><FieldError msg={errors[key]} /></div>
+              ))}
+            </div>
+          )}
+        </div>
+      ))}
+      <p className="note">Appliances stay on gas in the baseline and hybrid. Once nothing in the all-electric home burns gas, its gas customer charge goes away too.</p>
+    </div>
+  )
+}
+
+export default function AppliancesCard({ appliances, gasFixed }){
+  const switched = appliances.uses.filter(u=>u.state === 'switch')
+  const kept = appliances.uses.filter(u=>u.state === 'gas')
+  return (
+    <div className="card">
+      <h2>Appliance Savings (All-Electric)</h2>
+      {switched.length > 0 && (
+        <table style={{width:'100%', fontSize:13}}>
+          <thead>
+            <tr><th>End use</th><th style={{textAlign:'right'}}>Therms → kWh</th><th style={{textAlign:'right'}}>Savings/yr</th><th style={{textAlign:'right'}}>Net cost</th><th style={{textAlign:'right'}}>Payback</th></tr>
+          </thead>
+          <tbody>
+            {switched.map(u=>(
+              <tr key={u.id}>
+                <td>{u.electric}</td>
+                <td style={{textAlign:'right'}}>{u.therms.toLocaleString()} → {u.kwh.toLocaleString()}</td>
+                <td style={{textAlign:'right'}} title={`Gas ${money(u.gasSaved)} less electricity ${money(u.elecAdded)}`}>{money(u.savings)}</td>
+                <td style={{textAlign:'right'}}>{money(u.netCost)}</td>
+                <td style={{textAlign:'right'}}>{u.payback != null ? `${u.payback} yrs` : '—'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      <div className="pill muted" style={{marginTop:8}}>
+        <div className="note">Gas customer charge removed</div>
+        {appliances.gasService > 0
+          ? <div style={{fontSize:20,fontWeight:700}}>{money(appliances.gasService)}/yr</div>
+          : <div className="note">Kept: the all-electric home still burns gas{kept.length ? ` (${kept.map(u=>u.name.toLowerCase()).join(', ')})` : ' (gas backup)'}{+gasFixed > 0 ? `, so ${money(Math.round(gasFixed*12))}/yr stays on the bill` : ''}.</div>}
+      </div>
+      <p className="note">Per-appliance savings are energy only; the customer charge is counted once, above. The all-electric cost, payback and lifecycle include the switched appliances and their net cost.</p>
+    </div>
+  )
+}
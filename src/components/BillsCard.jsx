@@ -0,0 +1,96 @@
+import React, { useMemo, useState } from 'react'
+import { parseBills, parseDegreeDays, mergeBills, calibrate } from '../lib/bills.js'
+
+const pct = (v) => v == null ? '—' : `${(v*100).toFixed(1)}%`
+
+function Fit({ title, fit, children }){
+  return (
+    <div className={`pill ${fit.reliable ? 'good' : 'muted'}`}>
+      <div className="note">{title} — {fit.n} periods, {fit.days} days, {fit.actualPeriods === fit.n ? 'actual' : fit.actualPeriods ? `${fit.actualPeriods} on actual, the rest on typical` : 'typical-year'} degree days</div>
+      {children}
+      <div className="note">R² {fit.r2.toFixed(2)} &nbsp;|&nbsp; CV(RMSE) {pct(fit.cvrmse)} &nbsp;→&nbsp; <b>{fit.reliable ? 'reliable' : 'use with caution'}</b></div>
+    </div>
+  )
+}
+
+export default function BillsCard({ afue, hours, balancePoint, monthlyHDD, onApply }){
+  const [files, setFiles] = useState([])
+  const [degreeDays, setDegreeDays] = useState(null)
+  const [err, setErr] = useState('')
+
+  const load = async (e) => {
+    const picked = [...(e.target.files || [])]
+    e.target.value = ''
+    try {
+      const parsed = await Promise.all(picked.map(async file=>({ name: file.name, ...parseBills(await file.text()) })))
+      setFiles(fs=>[...fs, ...parsed])
+      setErr('')
+    } catch (ex){
+      setErr(ex.message)
+    }
+  }
+
+  const loadDegreeDays = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file) return
+    try {
+      setDegreeDays({ name: file.name, days: parseDegreeDays(await file.text()) })
+      setErr('')
+    } catch (ex){
+      setErr(ex.message)
+    }
+  }
+
+  const cal = useMemo(()=>files.length
+    ? calibrate(mergeBills(...files.map(x=>x.periods)), { afue, hours, balancePoint: hours ? balancePoint : 65, monthlyHDD, actual: degreeDays?.days })
+    : null, [files, afue, hours, balancePoint, monthlyHDD, degreeDays])
+  const typical = cal && [cal.gas, cal.elec].some(fit=>fit && fit.actualPeriods < fit.n)
+
+  const apply = () => onApply({
+    ...(cal.gas ? { heatMMBtu: String(cal.gas.heatMMBtu) } : {}),
+    ...(cal.elec ? { kwhBase: String(cal.elec.kwhBase) } : {}),
+  })
+
+  return (
+    <div className="card" style={{marginTop:16}}>
+      <h2>Calibrate from Utility Bills</h2>
+      <p className="note">Upload 12+ months of bills: a CSV with billing period, therms and kWh columns, or Green Button CSV/XML downloads (gas and electric can be separate files). Gas use is regressed against heating degree-days ({hours ? `hourly weather, base ${balancePoint}°F` : 'monthly HDD65'}) to split base load from heating.</p>
+      <div className="row">
+        <label className="btn secondary" style={{margin:0}}>
+          Add bill files
+          <input type="file" multiple accept=".csv,.xml" onChange={load} style={{display:'none'}} />
+        </label>
+        <label className="btn secondary" style={{margin:0}}>
+          Add actual degree days
+          <input type="file" accept=".csv" onChange={loadDegreeDays} style={{display:'none'}} />
+        </label>
+        {(files.length > 0 || degreeDays) && <button className="btn secondary" onClick={()=>{ setFiles([]); setDegreeDays(null) }}>Clear</button>}
+      </div>
+      {err && <p className="note" style={{color:'#b91c1c'}}>{err}</p>}
+      {files.map((x, i)=><p key={i} className="note">{x.name}: {x.source}, {x.periods.length} periods</p>)}
+      {degreeDays && <p className="note">{degreeDays.name}: {degreeDays.days.size} days of actual HDD</p>}
+      {typical && <p className="note">Some periods are regressed on typical-year degree days, not the weather that actually occurred, which biases the heating slope if the billing year was unusually mild or cold. Add an "hdd" column to the bill CSV or a daily degree-day file (date, HDD) covering the billing dates to fix this.</p>}
+
+      {cal && (
+        <div className="grid grid-2" style={{marginTop:8}}>
+          {cal.gas
+            ? <Fit title="Gas" fit={cal.gas}>
+                <div>Heating {cal.gas.heatTherms.toLocaleString()} therms + base {cal.gas.baseTherms.toLocaleString()} therms/yr → <b>{cal.gas.heatMMBtu} MMBtu</b> delivered heat</div>
+              </Fit>
+            : <div className="pill muted note">Need 3+ gas periods for a regression</div>}
+          {cal.elec
+            ? <Fit title="Electric" fit={cal.elec}>
+                <div>Weather-normalized <b>{cal.elec.kwhBase.toLocaleString()} kWh/yr</b></div>
+              </Fit>
+            : <div className="pill muted note">Need 3+ electric periods</div>}
+        </div>
+      )}
+      {cal && (cal.gas || cal.elec) && (
+        <div className="row" style={{marginTop:10}}>
+          <button className="btn" onClick={apply}>Use for heat load{cal.elec ? ' and base kWh' : ''}</button>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,73 @@
+import React, { useState } from 'react'
+import { BIN_COLUMNS, runCSV, runJSON, parseRun } from '../lib/runfile.js'
+import { downloadText, downloadJSON } from '../lib/download.js'
+
+const COLORS = { 'heat pump': '#2563eb', gas: '#b45309', mixed: '#6b7280' }
+
+// `calc` is null while the inputs are invalid; importing still works
+export default function BinsCard({ inputs, calc, onImport }){
+  const [sort, setSort] = useState({ key: 't', dir: 1 })
+  const [err, setErr] = useState('')
+  const bins = calc?.bins
+
+  const rows = bins ? [...bins].sort((a,b)=>{
+    const x = a[sort.key], y = b[sort.key]
+    return (typeof x === 'string' ? x.localeCompare(y) : x - y)*sort.dir
+  }) : []
+  const sortBy = (key) => setSort(s=>({ key, dir: s.key === key ? -s.dir : 1 }))
+
+  const importFile = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file) return
+    try {
+      onImport(parseRun(await file.text()))
+      setErr('')
+    } catch (x){
+      setErr(`${file.name}: ${x.message}`)
+    }
+  }
+
+  return (
+    <div className="card" style={{marginTop:16}}>
+      <h2>Per-Bin Detail</h2>
+      <div className="row">
+        <button className="btn secondary" disabled={!bins} onClick={()=>downloadText(runCSV(inputs, calc), 'heatpump-run.csv', 'text/csv')}>Download CSV</button>
+        <button className="btn secondary" disabled={!bins} onClick={()=>downloadJSON(runJSON(inputs, calc), 'heatpump-run.json')}>Download JSON</button>
+      </div>
+      <label style={{marginTop:8}}>Import run file (CSV or JSON)</label>
+      <input type="file" accept=".csv,.json" onChange={importFile} />
+      {err && <p className="note" style={{color:'#b91c1c'}}>{err}</p>}
+      <p className="note">Exports include the inputs, so importing a file restores the run. Hourly weather files are not embedded.</p>
+      {!calc && <p className="note">Results invalid — fix the highlighted inputs to see the per-bin detail.</p>}
+      {calc && !bins && <p className="note">Per-bin detail needs the COP table mode.</p>}
+      {bins && (<>
+        {calc.mode === 'hourly' && <p className="note">Hourly run, grouped into 1°F bins.</p>}
+        <div style={{overflowX:'auto', maxHeight:420, overflowY:'auto'}}>
+          <table style={{width:'100%', fontSize:13}}>
+            <thead>
+              <tr>
+                {BIN_COLUMNS.map(([k, label])=>(
+                  <th key={k} onClick={()=>sortBy(k)} style={{textAlign:'right', cursor:'pointer', whiteSpace:'nowrap'}}>
+                    {label}{sort.key === k ? (sort.dir > 0 ? ' ▲' : ' ▼') : ''}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(b=>(
+                <tr key={b.t}>
+                  {BIN_COLUMNS.map(([k])=>(
+                    <td key={k} style={{textAlign:'right', color: k === 'fuel' ? COLORS[b.fuel] : undefined}}>
+                      {typeof b[k] === 'number' ? b[k].toLocaleString() : b[k]}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </>)}
+    </div>
+  )
+}
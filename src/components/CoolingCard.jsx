@@ -0,0 +1,30 @@
+import React from 'react'
+import FieldError, { TableErrors } from './FieldError.jsx'
+
+// Cooling inputs: the old AC's kWh come out of the base kWh and the heat
+// pump's go in, for the all-electric and hybrid scenarios
+export default function CoolingCard({ f, set, errors={}, eerText, onEER, binsText, onBins, eerErrors, binsErrors }){
+  return (
+    <div className="card">
+      <h2>Cooling</h2>
+      <div className="grid grid-3">
+        <div><label>Cooling load (MMBtu/yr, 0 = off)</label><input value={f.coolLoad} onChange={set('coolLoad')} /><FieldError msg={errors.coolLoad} /></div>
+        <div><label>Existing AC SEER</label><input value={f.acSEER} onChange={set('acSEER')} /><FieldError msg={errors.acSEER} /></div>
+        <div><label>Heat pump SEER2</label><input value={f.hpSEER} onChange={set('hpSEER')} /><FieldError msg={errors.hpSEER} /></div>
+      </div>
+      <div className="grid grid-2">
+        <div>
+          <label>Heat pump cooling table (°F:EER, optional)</label>
+          <textarea rows="5" value={eerText} onChange={onEER} placeholder={'95:11\n82:14\n70:18'} />
+          <TableErrors errors={eerErrors} />
+        </div>
+        <div>
+          <label>Cooling bins (°F:% of cooling)</label>
+          <textarea rows="5" value={binsText} onChange={onBins} disabled={!String(eerText).trim()} />
+          <TableErrors errors={binsErrors} />
+        </div>
+      </div>
+      <p className="note">Cooling kWh are the load ÷ SEER, and are spread over the year by cooling degree-days. An EER table replaces the heat pump SEER2 and is applied to each cooling bin. A rough cooling load is the AC's summer kWh × its SEER ÷ 1,000.</p>
+    </div>
+  )
+}
@@ -0,0 +1,73 @@
+import React from 'react'
+import { BarChart, Bar, XAxis, YAxis, Tooltip, Legend, ResponsiveContainer } from 'recharts'
+import { GRID_BASES } from '../lib/emissions.js'
+import FieldError from './FieldError.jsx'
+
+const tonnes = (v) => v == null ? '—' : `${v.toLocaleString()} t`
+const perTonne = (v) => v == null ? '—' : `${v < 0 ? '-' : ''}$${Math.abs(v).toLocaleString()}/t`
+
+// Emission factor inputs (sits with the other input cards)
+export function EmissionsInputs({ f, set, errors={}, basis, onBasis, profile, onProfile, profileError }){
+  return (
+    <div className="card">
+      <h2>Emissions</h2>
+      <div className="grid grid-2">
+        <div><label>Gas (kg CO2e/therm)</label><input value={f.gasCO2} onChange={set('gasCO2')} /><FieldError msg={errors.gasCO2} /></div>
+        <div><label>Methane leakage (% of gas)</label><input value={f.methaneLeak} onChange={set('methaneLeak')} /><FieldError msg={errors.methaneLeak} /></div>
+        <div><label>Grid average (kg/kWh)</label><input value={f.gridAvg} onChange={set('gridAvg')} /><FieldError msg={errors.gridAvg} /></div>
+        <div><label>Grid marginal (kg/kWh)</label><input value={f.gridMarginal} onChange={set('gridMarginal')} /><FieldError msg={errors.gridMarginal} /></div>
+      </div>
+      <label>Grid factor</label>
+      <select value={basis} onChange={e=>onBasis(e.target.value)}>
+        {GRID_BASES.map(([k, label])=><option key={k} value={k}>{label}</option>)}
+      </select>
+      <label style={{marginTop:8}}>Monthly or hourly grid factors (optional, kg/kWh)</label>
+      <textarea rows="2" value={profile} onChange={onProfile} placeholder="12 values (Jan–Dec), 24 (hour 0–23) or 288 (month × hour)" />
+      <FieldError msg={profileError} />
+      <p className="note">Combustion factor per EPA. Leakage adds upstream methane at a 100-year GWP of 29.8. A factor profile replaces the annual figure.</p>
+    </div>
+  )
+}
+
+export default function EmissionsCard({ em }){
+  const rows = [
+    ['All-Electric', em.allElectric, em.vsBaseline.allElectric],
+    ['Hybrid', em.hybrid, em.vsBaseline.hybrid],
+  ].filter(([, s])=>s)
+
+  return (
+    <div className="card">
+      <h2>Carbon Emissions</h2>
+      <div style={{width:'100%', height:220}}>
+        <ResponsiveContainer>
+          <BarChart data={em.chart}>
+            <XAxis dataKey="name" />
+            <YAxis />
+            <Tooltip formatter={(v)=>`${Number(v).toLocaleString()} t CO2e`} />
+            <Legend />
+            <Bar dataKey="elec" name="Electricity" stackId="co2" fill="#2563eb" />
+            <Bar dataKey="gas" name="Gas" stackId="co2" fill="#f59e0b" />
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+      <table style={{width:'100%', fontSize:13, marginTop:8}}>
+        <thead>
+          <tr><th></th><th style={{textAlign:'right'}}>t CO2e/yr</th><th style={{textAlign:'right'}}>Avoided/yr</th><th style={{textAlign:'right'}}>Lifetime avoided</th><th style={{textAlign:'right'}}>Cost per tonne</th></tr>
+        </thead>
+        <tbody>
+          <tr><td>Baseline</td><td style={{textAlign:'right'}}>{tonnes(em.baseline.tonnes)}</td><td></td><td></td><td></td></tr>
+          {rows.map(([label, s, v])=>(
+            <tr key={label}>
+              <td>{label}</td>
+              <td style={{textAlign:'right'}}>{tonnes(s.tonnes)}</td>
+              <td style={{textAlign:'right'}}>{tonnes(v.avoided)}</td>
+              <td style={{textAlign:'right'}}>{tonnes(v.lifetime)}</td>
+              <td style={{textAlign:'right'}}>{perTonne(v.costPerTonne)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p className="note">Gas {em.gasFactor} kg/therm, grid {em.gridFactor} kg/kWh (load-weighted). Lifetime is the {em.life}-yr equipment life; cost per tonne is net install cost less lifetime bill savings, per tonne avoided (negative = saves money).</p>
+    </div>
+  )
+}
@@ -0,0 +1,107 @@
+import React, { useState } from 'react'
+import { CATALOG, validateModel, parseCatalog, exportCatalog, loadCustomModels, saveCustomModels, deleteCustomModel } from '../lib/equipment.js'
+import { downloadJSON } from '../lib/download.js'
+
+const TEMPS = [47, 17, 5, -5]
+const blank = () => ({ name: '', nominalTons: '', ...Object.fromEntries(TEMPS.flatMap(t=>[[`cop${t}`, ''], [`cap${t}`, '']])) })
+
+export default function EquipmentCard({ equipment, onPick }){
+  const [custom, setCustom] = useState(loadCustomModels)
+  const [sel, setSel] = useState(CATALOG[0].id)
+  const [form, setForm] = useState(null)
+  const [err, setErr] = useState('')
+
+  const all = [...CATALOG, ...custom]
+  const model = all.find(m=>m.id === sel)
+  const isCustom = custom.some(m=>m.id === sel)
+
+  const addModel = () => {
+    try {
+      const m = validateModel({
+        name: form.name,
+        nominalTons: form.nominalTons,
+        ratings: TEMPS.filter(t=>form[`cop${t}`] !== '' || form[`cap${t}`] !== '')
+          .map(t=>({ t, cop: parseFloat(form[`cop${t}`]), capacity: parseFloat(form[`cap${t}`]) })),
+      })
+      setCustom(saveCustomModels([m]))
+      setSel(m.id)
+      setForm(null)
+      setErr('')
+    } catch (ex){
+      setErr(ex.message)
+    }
+  }
+
+  const importFile = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file) return
+    try {
+      const models = parseCatalog(await file.text())
+      setCustom(saveCustomModels(models))
+      setSel(models[0].id)
+      setErr('')
+    } catch (ex){
+      setErr(ex.message)
+    }
+  }
+
+  const remove = () => {
+    try {
+      setCustom(deleteCustomModel(sel))
+      setSel(CATALOG[0].id)
+      setErr('')
+    } catch (ex){
+      setErr(ex.message)
+    }
+  }
+
+  const field = (k) => <input value={form[k]} onChange={e=>setForm(s=>({...s, [k]: e.target.value}))} />
+
+  return (
+    <div className="card">
+      <h2>Equipment Library</h2>
+      <label>Heat pump model (NEEP cold-climate format)</label>
+      <select value={sel} onChange={e=>setSel(e.target.value)}>
+        <optgroup label="Bundled">{CATALOG.map(m=><option key={m.id} value={m.id}>{m.name}</option>)}</optgroup>
+        {custom.length > 0 && <optgroup label="Custom">{custom.map(m=><option key={m.id} value={m.id}>{m.name}</option>)}</optgroup>}
+      </select>
+      {model && (
+        <table style={{width:'100%', fontSize:13, marginTop:8}}>
+          <thead><tr><th style={{textAlign:'left'}}>°F</th><th style={{textAlign:'right'}}>COP</th><th style={{textAlign:'right'}}>Max kBtu/h</th></tr></thead>
+          <tbody>{model.ratings.map(r=><tr key={r.t}><td>{r.t}</td><td style={{textAlign:'right'}}>{r.cop}</td><td style={{textAlign:'right'}}>{r.capacity}</td></tr>)}</tbody>
+        </table>
+      )}
+      <div className="row" style={{marginTop:8}}>
+        <button className="btn" onClick={()=>onPick(model)}>Use this model</button>
+        {isCustom && <button className="btn secondary" onClick={remove}>Delete</button>}
+      </div>
+      <p className="note">Fills the COP and capacity tables. In use: <b>{equipment || 'hand-entered COP table'}</b></p>
+
+      <div className="row">
+        <button className="btn secondary" onClick={()=>setForm(f=>f ? null : blank())}>{form ? 'Cancel' : 'Add custom model'}</button>
+        <label className="btn secondary" style={{margin:0}}>
+          Import JSON
+          <input type="file" accept=".json,application/json" onChange={importFile} style={{display:'none'}} />
+        </label>
+        <button className="btn secondary" onClick={()=>downloadJSON(exportCatalog(custom), 'heatpump-equipment.json')} disabled={!custom.length}>Export custom JSON</button>
+      </div>
+      {form && (
+        <div style={{marginTop:8}}>
+          <div className="grid grid-2">
+            <div><label>Model name</label>{field('name')}</div>
+            <div><label>Nominal tons</label>{field('nominalTons')}</div>
+          </div>
+          {TEMPS.map(t=>(
+            <div key={t} className="grid grid-2">
+              <div><label>COP @ {t}°F{t === -5 ? ' (optional)' : ''}</label>{field(`cop${t}`)}</div>
+              <div><label>Capacity @ {t}°F (kBtu/h)</label>{field(`cap${t}`)}</div>
+            </div>
+          ))}
+          <button className="btn" style={{marginTop:8}} onClick={addModel}>Save model</button>
+        </div>
+      )}
+      {err && <p className="note" style={{color:'#b91c1c'}}>{err}</p>}
+    </div>
+  )
+}
@@ -0,0 +1,18 @@
+import React from 'react'
+
+const RED = '#b91c1c'
+
+// Inline message under a form field
+export default function FieldError({ msg }){
+  return msg ? <div className="note" style={{color:RED}}>{msg}</div> : null
+}
+
+// Bad rows under a textarea, with line numbers
+export function TableErrors({ errors }){
+  if (!errors?.length) return null
+  return (
+    <ul className="note" style={{color:RED, margin:'4px 0', paddingLeft:18}}>
+      {errors.map((e,i)=><li key={i}>{e.line ? `Line ${e.line}: ` : ''}{e.message}</li>)}
+    </ul>
+  )
+}
@@ -0,0 +1,105 @@
+import React, { useState } from 'react'
+import { INCENTIVE_TYPES, DEFAULT_INCENTIVES, parseIncentives } from '../lib/incentives.js'
+import { downloadJSON } from '../lib/download.js'
+
+const RED = '#b91c1c'
+const money = (v) => `$${Math.round(v).toLocaleString()}`
+const STATUS = { applied: '#dcfce7', ineligible: '#f3f4f6', 'not stackable': '#fef3c7' }
+
+// Editable incentive list with JSON import/export and the itemized stack.
+// `stack` is the engine's { items, total, net } (null while inputs are invalid).
+export default function IncentivesCard({ list, onChange, stack, gross, errors=[] }){
+  const [err, setErr] = useState('')
+  const edit = (i, patch) => onChange(list.map((x, j)=>j === i ? { ...x, ...patch } : x))
+  const setIncome = (i, v) => {
+    const { maxIncome, ...rest } = list[i].eligibility || {}
+    const eligibility = v.trim() === '' ? rest : { ...rest, maxIncome: v }
+    edit(i, { eligibility: Object.keys(eligibility).length ? eligibility : undefined })
+  }
+  const move = (i, d) => {
+    const next = [...list]
+    ;[next[i], next[i + d]] = [next[i + d], next[i]]
+    onChange(next)
+  }
+  const add = () => {
+    let n = list.length + 1
+    while (list.some(x=>x.id === `custom${n}`)) n++
+    onChange([...list, { id: `custom${n}`, name: 'New incentive', type: 'fixed', amount: 0 }])
+  }
+  const load = async (e) => {
+    const file = e.target.files?.[0]
+    if (!file) return
+    try {
+      onChange(parseIncentives(await file.text()))
+      setErr('')
+    } catch (ex){
+      setErr(ex.message)
+    }
+    e.target.value = ''
+  }
+
+  const cell = { padding:'2px 4px' }
+  return (
+    <div className="card" style={{marginTop:16}}>
+      <h2>Incentives & Rebates</h2>
+      <div style={{overflowX:'auto'}}>
+        <table style={{width:'100%', fontSize:13}}>
+          <thead>
+            <tr><th>ID</th><th>Name</th><th>Type</th><th>Amount</th><th>Cap ($)</th><th>Max income (% AMI)</th><th>After prior</th><th>Not with (ids)</th><th></th></tr>
+          </thead>
+          <tbody>
+            {list.map((x, i)=>(
+              <tr key={i}>
+                <td style={cell}><input value={x.id} onChange={e=>edit(i, { id: e.target.value })} style={{width:80}} /></td>
+                <td style={cell}><input value={x.name || ''} onChange={e=>edit(i, { name: e.target.value })} /></td>
+                <td style={cell}>
+                  <select value={x.type} onChange={e=>edit(i, { type: e.target.value })}>
+                    {INCENTIVE_TYPES.map(([k, label])=><option key={k} value={k}>{label}</option>)}
+                  </select>
+                </td>
+                <td style={cell}><input value={x.amount ?? ''} onChange={e=>edit(i, { amount: e.target.value })} style={{width:70}} /></td>
+                <td style={cell}><input value={x.cap ?? ''} onChange={e=>edit(i, { cap: e.target.value.trim() === '' ? undefined : e.target.value })} style={{width:70}} /></td>
+                <td style={cell}><input value={x.eligibility?.maxIncome ?? ''} onChange={e=>setIncome(i, e.target.value)} style={{width:60}} /></td>
+                <td style={{...cell, textAlign:'center'}}><input type="checkbox" checked={!!x.afterPrior} disabled={x.type !== 'percent'} onChange={e=>edit(i, { afterPrior: e.target.checked || undefined })} /></td>
+                <td style={cell}><input value={(x.excludes || []).join(', ')} onChange={e=>{ const ids = e.target.value.split(',').map(s=>s.trim()).filter(Boolean); edit(i, { excludes: ids.length ? ids : undefined }) }} style={{width:90}} /></td>
+                <td style={{...cell, whiteSpace:'nowrap'}}>
+                  <button className="btn secondary" disabled={i === 0} onClick={()=>move(i, -1)} title="Apply earlier">↑</button>
+                  <button className="btn secondary" disabled={i === list.length - 1} onClick={()=>move(i, 1)} title="Apply later">↓</button>
+                  <button className="btn secondary" onClick={()=>onChange(list.filter((_, j)=>j !== i))} title="Remove">×</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      {errors.length > 0 && <ul className="note" style={{color:RED, margin:'4px 0', paddingLeft:18}}>{errors.map((m, i)=><li key={i}>{m}</li>)}</ul>}
+      <div className="row" style={{marginTop:8}}>
+        <button className="btn secondary" onClick={add}>Add incentive</button>
+        <label className="btn secondary" style={{margin:0}}>
+          Load incentives JSON
+          <input type="file" accept=".json,application/json" onChange={load} style={{display:'none'}} />
+        </label>
+        <button className="btn secondary" onClick={()=>downloadJSON(list, 'incentives.json')}>Download JSON</button>
+        <button className="btn secondary" onClick={()=>onChange(DEFAULT_INCENTIVES.map(x=>({ ...x })))}>Use defaults</button>
+      </div>
+      {err && <p className="note" style={{color:RED}}>{err}</p>}
+
+      {stack && (
+        <table style={{width:'100%', fontSize:13, marginTop:12}}>
+          <tbody>
+            <tr><td>Gross install</td><td></td><td style={{textAlign:'right'}}>{money(gross)}</td></tr>
+            {stack.items.map((x, i)=>(
+              <tr key={i}>
+                <td>{x.name} <span className="pill" style={{background:STATUS[x.status], padding:'0 6px', fontSize:11}}>{x.status}</span></td>
+                <td className="note">{x.note}</td>
+                <td style={{textAlign:'right'}}>{x.status === 'applied' ? `−${money(x.amount)}` : '—'}</td>
+              </tr>
+            ))}
+            <tr style={{fontWeight:700}}><td>Net install cost</td><td className="note">{money(stack.total)} in incentives</td><td style={{textAlign:'right'}}>{money(stack.net)}</td></tr>
+          </tbody>
+        </table>
+      )}
+      <p className="note">Incentives apply top to bottom. "After prior" takes the percent of the cost left after those above it, as tax credits are figured net of rebates. One that can't be combined with an incentive already applied is skipped. Minimum income and heat pump size limits (minIncome, minTons, maxTons) can be set in the JSON file. The net cost feeds every payback, lifecycle and cost-per-tonne figure.</p>
+    </div>
+  )
+}
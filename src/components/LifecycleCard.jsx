@@ -0,0 +1,71 @@
+import React, { useState } from 'react'
+import FieldError from './FieldError.jsx'
+
+const money = (v) => v == null ? '—' : `${v < 0 ? '-' : ''}$${Math.abs(v).toLocaleString()}`
+
+function Metrics({ title, cf }){
+  return (
+    <div className="pill muted">
+      <div className="note">{title}</div>
+      <div style={{fontSize:18,fontWeight:700}}>NPV {money(cf.npv)}</div>
+      <div className="note">IRR {cf.irr != null ? `${cf.irr}%` : '—'} &nbsp;|&nbsp; Discounted payback {cf.discountedPayback != null ? `${cf.discountedPayback} yrs` : '—'}</div>
+    </div>
+  )
+}
+
+// `life` is null while the inputs are invalid
+export default function LifecycleCard({ f, set, life, errors={} }){
+  const [showTable, setShowTable] = useState(false)
+  return (
+    <div className="card" style={{marginTop:16}}>
+      <h2>Lifecycle Cash Flow</h2>
+      <div className="grid" style={{gridTemplateColumns:'repeat(auto-fit, minmax(140px, 1fr))'}}>
+        <div><label>Horizon (yrs)</label><input value={f.horizon} onChange={set('horizon')} /><FieldError msg={errors.horizon} /></div>
+        <div><label>Discount rate (%)</label><input value={f.discountRate} onChange={set('discountRate')} /><FieldError msg={errors.discountRate} /></div>
+        <div><label>Electric escalation (%/yr)</label><input value={f.elecEsc} onChange={set('elecEsc')} /><FieldError msg={errors.elecEsc} /></div>
+        <div><label>Gas escalation (%/yr)</label><input value={f.gasEsc} onChange={set('gasEsc')} /><FieldError msg={errors.gasEsc} /></div>
+        <div><label>Equipment life (yrs)</label><input value={f.equipLife} onChange={set('equipLife')} /><FieldError msg={errors.equipLife} /></div>
+        <div><label>Replacement cost avoided ($)</label><input value={f.replAvoided} onChange={set('replAvoided')} /><FieldError msg={errors.replAvoided} /></div>
+        <div><label>Maint. baseline ($/yr)</label><input value={f.maintBase} onChange={set('maintBase')} /><FieldError msg={errors.maintBase} /></div>
+        <div><label>Maint. all-electric ($/yr)</label><input value={f.maintHP} onChange={set('maintHP')} /><FieldError msg={errors.maintHP} /></div>
+        <div><label>Maint. hybrid ($/yr)</label><input value={f.maintHybrid} onChange={set('maintHybrid')} /><FieldError msg={errors.maintHybrid} /></div>
+      </div>
+      <p className="note">Year 0 is gross install less incentives and the replacement cost avoided. Equipment is replaced at the same cost (without incentives) every equipment life inside the horizon.</p>
+
+      {!life && <p className="note">Results invalid — fix the highlighted inputs to see NPV and IRR.</p>}
+      {life && (<>
+      <div className="grid grid-2" style={{marginTop:8}}>
+        <Metrics title="All-Electric" cf={life.allElectric} />
+        {life.hybrid && <Metrics title="Hybrid" cf={life.hybrid} />}
+      </div>
+
+      <div className="row" style={{marginTop:10}}>
+        <button className="btn secondary" onClick={()=>setShowTable(v=>!v)}>{showTable ? 'Hide' : 'Show'} year-by-year table</button>
+      </div>
+      {showTable && (
+        <table style={{width:'100%', fontSize:13, marginTop:8}}>
+          <thead>
+            <tr>
+              <th>Year</th>
+              <th style={{textAlign:'right'}}>All-Elec savings</th><th style={{textAlign:'right'}}>Capex</th><th style={{textAlign:'right'}}>Cumulative</th><th style={{textAlign:'right'}}>Cum. discounted</th>
+              {life.hybrid && <><th style={{textAlign:'right'}}>Hybrid savings</th><th style={{textAlign:'right'}}>Capex</th><th style={{textAlign:'right'}}>Cumulative</th><th style={{textAlign:'right'}}>Cum. discounted</th></>}
+            </tr>
+          </thead>
+          <tbody>
+            {life.allElectric.rows.map((a,i)=>{
+              const h = life.hybrid?.rows[i]
+              return (
+                <tr key={a.year}>
+                  <td>{a.year}</td>
+                  <td style={{textAlign:'right'}}>{money(a.savings)}</td><td style={{textAlign:'right'}}>{money(a.capex)}</td><td style={{textAlign:'right'}}>{money(a.cumulative)}</td><td style={{textAlign:'right'}}>{money(a.cumDiscounted)}</td>
+                  {h && <><td style={{textAlign:'right'}}>{money(h.savings)}</td><td style={{textAlign:'right'}}>{money(h.capex)}</td><td style={{textAlign:'right'}}>{money(h.cumulative)}</td><td style={{textAlign:'right'}}>{money(h.cumDiscounted)}</td></>}
+                </tr>
+              )
+            })}
+          </tbody>
+        </table>
+      )}
+      </>)}
+    </div>
+  )
+}
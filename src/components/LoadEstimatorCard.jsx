@@ -0,0 +1,78 @@
+import React, { useEffect, useMemo, useState } from 'react'
+import { num } from '../lib/helpers.js'
+import { estimateLoad, ENVELOPES, LEAKAGE } from '../lib/loadEstimate.js'
+import { checkField } from '../lib/validate.js'
+import FieldError from './FieldError.jsx'
+
+const RANGES = { area: [100, 50000], height: [6, 30], ua: [0, 1e5], setpoint: [50, 80], designTemp: [-60, 70] }
+
+// Local inputs check: blank UA means "use the envelope level"
+const fieldError = (k, v) => {
+  if (k === 'ua' && String(v).trim() === '') return null
+  const e = checkField(null, v)
+  if (e) return e
+  const [lo, hi] = RANGES[k]
+  return +v < lo ? `Must be at least ${lo}` : +v > hi ? `Must be at most ${hi}` : null
+}
+
+export default function LoadEstimatorCard({ bins, hdd65, climateName, hours, designTemp, onApply }){
+  const [h, setH] = useState({ area: '2000', height: '8.5', envelope: 'average', ua: '', leakage: 'average', setpoint: '68', designTemp: String(designTemp) })
+  const set = (k) => (e) => setH(s=>({ ...s, [k]: e.target.value }))
+  // Follow the main design temp (e.g. after picking a climate location)
+  useEffect(()=>setH(s=>({ ...s, designTemp: String(designTemp) })), [designTemp])
+  const errors = Object.fromEntries(Object.keys(RANGES).map(k=>[k, fieldError(k, h[k])]).filter(([, m])=>m))
+  const ok = Object.keys(errors).length === 0
+
+  const est = useMemo(()=>ok ? estimateLoad({
+    area: num(h.area), height: num(h.height), envelope: h.envelope, ua: num(h.ua), leakage: h.leakage,
+    setpoint: num(h.setpoint), designTemp: num(h.designTemp), bins, hdd65, hours,
+  }) : null, [ok, h, bins, hdd65, hours])
+
+  const apply = () => onApply({
+    heatMMBtu: String(est.heatMMBtu),
+    designLoad: String(est.designLoad),
+    designTemp: h.designTemp,
+    balancePoint: String(Math.round(est.balancePoint)),
+  })
+
+  return (
+    <div className="card" style={{marginTop:16}}>
+      <h2>Estimate Heat Load from the House</h2>
+      <p className="note">No usage history? Describe the house to estimate the design heat loss and annual heating load, then use them (and adjust by hand if you know better).</p>
+      <div className="grid" style={{gridTemplateColumns:'repeat(auto-fit, minmax(160px, 1fr))'}}>
+        <div><label>Conditioned floor area (ft²)</label><input value={h.area} onChange={set('area')} /><FieldError msg={errors.area} /></div>
+        <div><label>Average ceiling height (ft)</label><input value={h.height} onChange={set('height')} /><FieldError msg={errors.height} /></div>
+        <div>
+          <label>Insulation / envelope</label>
+          <select value={h.envelope} onChange={set('envelope')} disabled={num(h.ua) > 0}>
+            {ENVELOPES.map(([k, label])=><option key={k} value={k}>{label}</option>)}
+          </select>
+        </div>
+        <div><label>Envelope UA (Btu/h·°F, optional)</label><input value={h.ua} onChange={set('ua')} placeholder="from an energy audit" /><FieldError msg={errors.ua} /></div>
+        <div>
+          <label>Air leakage</label>
+          <select value={h.leakage} onChange={set('leakage')}>
+            {LEAKAGE.map(([k, label, ach])=><option key={k} value={k}>{label} ({ach} ACH)</option>)}
+          </select>
+        </div>
+        <div><label>Indoor setpoint (°F)</label><input value={h.setpoint} onChange={set('setpoint')} /><FieldError msg={errors.setpoint} /></div>
+        <div><label>Design temp (°F)</label><input value={h.designTemp} onChange={set('designTemp')} /><FieldError msg={errors.designTemp} /></div>
+      </div>
+
+      {est && (
+        <div className="grid grid-2" style={{marginTop:8}}>
+          <div className="pill muted">
+            <div className="note">UA {est.ua.toLocaleString()} Btu/h·°F (envelope {est.uaEnvelope.toLocaleString()} + air {est.uaAir.toLocaleString()}), balance point {est.balancePoint}°F</div>
+            <div>Design heat loss <b>{est.designLoad.toLocaleString()} Btu/h</b></div>
+            <div>Annual heating load <b>{est.heatMMBtu} MMBtu</b> delivered</div>
+            <div className="note">{est.hddBalance.toLocaleString()} HDD at the balance point, from {hours ? 'the hourly weather file' : `the weather bins scaled to ${hdd65.toLocaleString()} HDD65 (${climateName})`}</div>
+          </div>
+          <div>
+            <button className="btn" onClick={apply}>Use this estimate</button>
+            <p className="note">Sets heat load, design heat loss, design temp and balance point. Edit any of them afterwards to override.</p>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
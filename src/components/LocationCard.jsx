@@ -0,0 +1,33 @@
+import React, { useState } from 'react'
+import { searchStations, findStation } from '../lib/climate.js'
+
+export default function LocationCard({ location, onPick }){
+  const [q, setQ] = useState('')
+  const current = findStation(location)
+  const hits = searchStations(q)
+
+  return (
+    <div className="card">
+      <h2>Climate Location</h2>
+      <label>Search by city, state/province, or ZIP / postal prefix</label>
+      <input value={q} onChange={e=>setQ(e.target.value)} placeholder="e.g. Denver, 606, K1A" />
+      {hits.length > 0 && (
+        <div style={{marginTop:6, maxHeight:220, overflowY:'auto'}}>
+          {hits.map(s=>(
+            <div key={s.id} className="row" style={{justifyContent:'space-between', padding:'4px 0', borderBottom:'1px solid #eee'}}>
+              <span>{s.label} <span className="note">— {s.hdd65.toLocaleString()} HDD65, design {s.design}°F</span></span>
+              <button className="btn secondary" onClick={()=>{ onPick(s); setQ('') }}>Use</button>
+            </div>
+          ))}
+        </div>
+      )}
+      {q.trim() && hits.length === 0 && <p className="note">No matching stations.</p>}
+      <p className="note">
+        {current
+          ? <>In use: <b>{current.label}</b> ({current.hdd65.toLocaleString()} HDD65, design {current.design}°F). {current.source}.</>
+          : 'In use: hand-entered weather bins (monthly HDD default to Chicago).'}
+      </p>
+      <p className="note">Station bins are modeled: each station's rounded January/July means and design temperature are turned into a bell-shaped spread of hourly temperatures. They are a screening estimate, not measured bin data. For measured weather, paste bins from a bin-data source or load an EPW/TMY3 file for an hourly run.</p>
+    </div>
+  )
+}
@@ -0,0 +1,66 @@
+import React from 'react'
+import { LineChart, Line, XAxis, YAxis, Tooltip, ReferenceLine, ResponsiveContainer } from 'recharts'
+import FieldError from './FieldError.jsx'
+
+export const HYBRID_MODES = [
+  ['ideal', 'Ideal switching (cheapest fuel per bin/hour)'],
+  ['lockout', 'Fixed thermostat lockout'],
+  ['optimal', 'Optimal lockout (searched)'],
+]
+
+// Hybrid switchover settings (sits with the COP and bins inputs)
+export function HybridControls({ mode, onMode, f, set, error, crossoverTemp }){
+  return (
+    <div className="card">
+      <h2>Hybrid Switchover</h2>
+      <label>Hybrid control</label>
+      <select value={mode} onChange={e=>onMode(e.target.value)}>
+        {HYBRID_MODES.map(([k, label])=><option key={k} value={k}>{label}</option>)}
+      </select>
+      {mode === 'lockout' && (<>
+        <label style={{marginTop:8}}>Outdoor lockout temp (°F)</label>
+        <input value={f.lockoutTemp} onChange={set('lockoutTemp')} />
+        <FieldError msg={error} />
+      </>)}
+      <p className="note">
+        Dual-fuel thermostats run the heat pump at or above one outdoor lockout temperature and the furnace below it.
+        Ideal switching picks the cheaper fuel in every bin, which real controls can't quite match.
+        {crossoverTemp != null && <> The cost crossover is {crossoverTemp}°F.</>}
+      </p>
+    </div>
+  )
+}
+
+export default function LockoutCard({ lockout, hybrid }){
+  const { setpoint, best, curve, ideal, lost } = lockout
+  return (
+    <div className="card">
+      <h2>Hybrid Cost vs Lockout Temp</h2>
+      <div style={{width:'100%', height:260}}>
+        <ResponsiveContainer>
+          <LineChart data={curve}>
+            <XAxis dataKey="t" type="number" domain={['dataMin', 'dataMax']} tickFormatter={(t)=>`${t}°F`} />
+            <YAxis domain={['auto', 'auto']} />
+            <Tooltip formatter={(v)=>`$${Number(v).toLocaleString()}`} labelFormatter={(t)=>`Lockout ${t}°F`} />
+            <ReferenceLine y={ideal} stroke="#16a34a" strokeDasharray="4 4" label={{ value: 'Ideal', position: 'insideTopRight', fontSize: 12 }} />
+            <ReferenceLine x={best.t} stroke="#999" strokeDasharray="4 4" />
+            {setpoint !== best.t && <ReferenceLine x={setpoint} stroke="#b45309" />}
+            <Line type="stepAfter" dataKey="cost" name="Hybrid $/yr" stroke="#2563eb" dot={false} />
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+      <div className="grid grid-2" style={{marginTop:8}}>
+        <div className="pill muted">
+          <div className="note">Lockout {setpoint}°F{setpoint === best.t ? ' (cheapest)' : ''}</div>
+          <div style={{fontSize:18,fontWeight:700}}>${hybrid.toLocaleString()}/yr</div>
+          <div className="note">{lost > 0 ? `$${lost.toLocaleString()}/yr more than ideal switching` : 'Matches ideal switching'}</div>
+        </div>
+        <div className="pill muted">
+          <div className="note">Cheapest lockout</div>
+          <div style={{fontSize:18,fontWeight:700}}>{best.t}°F → ${best.cost.toLocaleString()}/yr</div>
+          <div className="note">Ideal switching: ${ideal.toLocaleString()}/yr</div>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,140 @@
+import React, { useEffect, useRef, useState } from 'react'
+import { BarChart, Bar, XAxis, YAxis, Tooltip, Legend, ResponsiveContainer } from 'recharts'
+import FieldError from './FieldError.jsx'
+import { num } from '../lib/helpers.js'
+import { VARIABLES, defaultSpecs, checkSpecs, checkRuns } from '../lib/montecarlo.js'
+
+const PARAMS = {
+  fixed: ['value'],
+  uniform: ['min', 'max'],
+  normal: ['mean', 'sd'],
+  triangular: ['min', 'mode', 'max'],
+}
+
+const money = (v) => v == null ? '—' : `$${Math.round(v).toLocaleString()}`
+const yrs = (v, horizon) => v == null ? '—' : Number.isFinite(v) ? `${v.toFixed(1)} yrs` : `> ${horizon} yrs`
+
+function Summary({ title, s, target, horizon }){
+  return (
+    <tr>
+      <td>{title}</td>
+      <td style={{textAlign:'right'}}>{money(s.savings.p10)} / {money(s.savings.p50)} / {money(s.savings.p90)}</td>
+      <td style={{textAlign:'right'}}>{yrs(s.payback.p10, horizon)} / {yrs(s.payback.p50, horizon)} / {yrs(s.payback.p90, horizon)}</td>
+      <td style={{textAlign:'right'}}>{(s.probUnder*100).toFixed(0)}% ≤ {target} yrs</td>
+    </tr>
+  )
+}
+
+export default function MonteCarloCard({ args, invalid=false }){
+  const [specs, setSpecs] = useState(defaultSpecs)
+  const [runs, setRuns] = useState('2000')
+  const [seed, setSeed] = useState('1')
+  const [target, setTarget] = useState('10')
+  const [progress, setProgress] = useState(null)
+  const [result, setResult] = useState(null)
+  const [err, setErr] = useState('')
+  const worker = useRef(null)
+
+  useEffect(()=>()=>worker.current?.terminate(), [])
+
+  const specErrors = checkSpecs(specs)
+  const runsError = checkRuns(runs)
+  const setSpec = (key, field) => (e) => setSpecs(s=>({ ...s, [key]: { ...s[key], [field]: e.target.value } }))
+
+  const run = () => {
+    worker.current?.terminate()
+    const w = new Worker(new URL('../lib/montecarlo.worker.js', import.meta.url), { type: 'module' })
+    worker.current = w
+    const n = +runs
+    setProgress({ done: 0, n })
+    setErr('')
+    w.onmessage = ({ data }) => {
+      if (data.type === 'progress') setProgress({ done: data.done, n })
+      else {
+        if (data.type === 'done') setResult(data.result)
+        else setErr(data.message)
+        setProgress(null)
+        w.terminate()
+      }
+    }
+    w.postMessage({ args, specs, opts: { runs: n, seed: Math.round(num(seed, 1)), target: num(target, 10) } })
+  }
+
+  const cancel = () => {
+    worker.current?.terminate()
+    worker.current = null
+    setProgress(null)
+  }
+
+  const hist = result && result.allElectric.histogram.map((b,i)=>({
+    name: b.name, allElectric: b.count, ...(result.hybrid ? { hybrid: result.hybrid.histogram[i].count } : {}),
+  }))
+
+  return (
+    <div className="card" style={{marginTop:16}}>
+      <h2>Monte Carlo Uncertainty</h2>
+      <table style={{width:'100%', fontSize:13}}>
+        <thead><tr><th style={{textAlign:'left'}}>Input</th><th style={{textAlign:'left'}}>Distribution</th><th style={{textAlign:'left'}}>Parameters</th></tr></thead>
+        <tbody>
+          {VARIABLES.map(v=>{
+            const s = specs[v.key]
+            return (
+              <tr key={v.key}>
+                <td>{v.label}</td>
+                <td>
+                  <select value={s.dist} onChange={setSpec(v.key, 'dist')}>
+                    {Object.keys(PARAMS).map(d=><option key={d} value={d}>{d}</option>)}
+                  </select>
+                </td>
+                <td className="row" style={{flexWrap:'nowrap'}}>
+                  {PARAMS[s.dist].map((label,i)=>{
+                    const field = 'abc'[i]
+                    return <input key={field} title={label} placeholder={label} value={s[field] ?? ''} onChange={setSpec(v.key, field)} />
+                  })}
+                </td>
+              </tr>
+            )
+          })}
+        </tbody>
+      </table>
+      <div className="grid" style={{gridTemplateColumns:'repeat(auto-fit, minmax(140px, 1fr))', marginTop:8}}>
+        <div><label>Simulations</label><input value={runs} onChange={e=>setRuns(e.target.value)} /><FieldError msg={runsError} /></div>
+        <div><label>Seed</label><input value={seed} onChange={e=>setSeed(e.target.value)} /></div>
+        <div><label>Target payback (yrs)</label><input value={target} onChange={e=>setTarget(e.target.value)} /></div>
+      </div>
+      <div className="row" style={{marginTop:10}}>
+        <button className="btn" onClick={run} disabled={!!progress || invalid || specErrors.length > 0 || !!runsError}>{progress ? `Running… ${progress.done}/${progress.n}` : 'Run simulation'}</button>
+        {progress && <button className="btn secondary" onClick={cancel}>Cancel</button>}
+      </div>
+      {specErrors.length > 0 && <ul className="note" style={{color:'#b91c1c', margin:'4px 0', paddingLeft:18}}>{specErrors.map((m, i)=><li key={i}>{m}</li>)}</ul>}
+      {invalid && <p className="note">Results invalid — fix the highlighted inputs first.</p>}
+      <p className="note">Payback is when cumulative (escalated) cash flow turns positive, using the lifecycle settings above; runs that never do within the analysis horizon count as "&gt; horizon" in the percentiles. The same seed reproduces the same draws.</p>
+      {err && <p className="note" style={{color:'#b91c1c'}}>{err}</p>}
+
+      {result && (
+        <>
+          <table style={{width:'100%', fontSize:13, marginTop:8}}>
+            <thead><tr><th></th><th style={{textAlign:'right'}}>Annual savings P10 / P50 / P90</th><th style={{textAlign:'right'}}>Payback P10 / P50 / P90</th><th style={{textAlign:'right'}}>Probability</th></tr></thead>
+            <tbody>
+              <Summary title="All-Electric" s={result.allElectric} target={result.target} horizon={result.horizon} />
+              {result.hybrid && <Summary title="Hybrid" s={result.hybrid} target={result.target} horizon={result.horizon} />}
+            </tbody>
+          </table>
+          <div style={{width:'100%', height:260, marginTop:8}}>
+            <ResponsiveContainer>
+              <BarChart data={hist}>
+                <XAxis dataKey="name" />
+                <YAxis />
+                <Tooltip />
+                <Legend />
+                <Bar dataKey="allElectric" name="All-Electric payback (runs)" fill="#2563eb" />
+                {result.hybrid && <Bar dataKey="hybrid" name="Hybrid payback (runs)" fill="#16a34a" />}
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+          <p className="note">{result.runs.toLocaleString()} runs, seed {result.seed}.</p>
+        </>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,95 @@
+import React, { useState } from 'react'
+import { BarChart, Bar, XAxis, YAxis, Tooltip, Legend, ResponsiveContainer } from 'recharts'
+import FieldError from './FieldError.jsx'
+
+const SCENARIOS = [
+  ['baseline', 'Baseline (Gas+AC)'],
+  ['allElectric', 'All-Electric HP'],
+  ['hybrid', 'Hybrid'],
+  ['allElectricPV', 'All-Electric + PV'],
+]
+
+// `monthly` is null while the inputs are invalid; the profile stays editable
+export default function MonthlyCard({ monthly, baseProfile, onBaseProfile, profileError }){
+  const [which, setWhich] = useState('allElectric')
+  const rows = monthly ? monthly[which] || monthly.baseline : []
+  const total = (k) => rows.reduce((a,r)=>a + r[k], 0)
+
+  return (
+    <div className="card" style={{marginTop:16}}>
+      <h2>Monthly Breakdown</h2>
+      <div className="grid grid-2">
+        <div>
+          <label>Scenario</label>
+          <select value={which} onChange={e=>setWhich(e.target.value)} disabled={!monthly}>
+            {SCENARIOS.filter(([k])=>monthly?.[k]).map(([k,label])=><option key={k} value={k}>{label}</option>)}
+          </select>
+        </div>
+        <div>
+          <label>Non-heating kWh profile (Jan–Dec weights)</label>
+          <input value={baseProfile} onChange={onBaseProfile} />
+          <FieldError msg={profileError} />
+        </div>
+      </div>
+      <p className="note">Heating is spread by monthly heating degree-days (or the hourly weather file when in use). Bills are computed month by month, so tiered and seasonal tariffs apply.</p>
+
+      {which === 'allElectricPV' && monthly?.allElectricPV && <p className="note">kWh is net of PV production; negative months export more than they use.</p>}
+      {!monthly && <p className="note">Results invalid — fix the highlighted inputs to see the monthly breakdown.</p>}
+      {monthly && (<>
+      <div className="grid grid-2" style={{gridTemplateColumns:'repeat(auto-fit, minmax(320px, 1fr))'}}>
+        <div style={{width:'100%', height:260}}>
+          <ResponsiveContainer>
+            <BarChart data={rows}>
+              <XAxis dataKey="month" />
+              <YAxis />
+              <Tooltip formatter={(v)=>`$${Number(v).toLocaleString()}`} />
+              <Legend />
+              <Bar dataKey="elec" name="Electric $" stackId="cost" fill="#2563eb" />
+              <Bar dataKey="gas" name="Gas $" stackId="cost" fill="#f59e0b" />
+            </BarChart>
+          </ResponsiveContainer>
+        </div>
+        <div style={{width:'100%', height:260}}>
+          <ResponsiveContainer>
+            <BarChart data={rows}>
+              <XAxis dataKey="month" />
+              <YAxis yAxisId="kwh" />
+              <YAxis yAxisId="therms" orientation="right" />
+              <Tooltip formatter={(v)=>Number(v).toLocaleString()} />
+              <Legend />
+              <Bar yAxisId="kwh" dataKey="kwh" name="kWh" fill="#93c5fd" />
+              <Bar yAxisId="therms" dataKey="therms" name="Therms" fill="#fcd34d" />
+            </BarChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+
+      <table style={{width:'100%', fontSize:13, marginTop:8}}>
+        <thead>
+          <tr><th style={{textAlign:'left'}}>Month</th><th style={{textAlign:'right'}}>kWh</th><th style={{textAlign:'right'}}>Therms</th><th style={{textAlign:'right'}}>Electric $</th><th style={{textAlign:'right'}}>Gas $</th><th style={{textAlign:'right'}}>Total $</th></tr>
+        </thead>
+        <tbody>
+          {rows.map(r=>(
+            <tr key={r.month}>
+              <td>{r.month}</td>
+              <td style={{textAlign:'right'}}>{r.kwh.toLocaleString()}</td>
+              <td style={{textAlign:'right'}}>{r.therms.toLocaleString()}</td>
+              <td style={{textAlign:'right'}}>${r.elec.toLocaleString()}</td>
+              <td style={{textAlign:'right'}}>${r.gas.toLocaleString()}</td>
+              <td style={{textAlign:'right'}}>${(r.elec + r.gas).toLocaleString()}</td>
+            </tr>
+          ))}
+          <tr style={{fontWeight:700}}>
+            <td>Year</td>
+            <td style={{textAlign:'right'}}>{total('kwh').toLocaleString()}</td>
+            <td style={{textAlign:'right'}}>{total('therms').toLocaleString()}</td>
+            <td style={{textAlign:'right'}}>${total('elec').toLocaleString()}</td>
+            <td style={{textAlign:'right'}}>${total('gas').toLocaleString()}</td>
+            <td style={{textAlign:'right'}}>${(total('elec') + total('gas')).toLocaleString()}</td>
+          </tr>
+        </tbody>
+      </table>
+      </>)}
+    </div>
+  )
+}
@@ -0,0 +1,116 @@
+import React, { useMemo, useState } from 'react'
+import { BarChart, Bar, XAxis, YAxis, Tooltip, Legend, ResponsiveContainer } from 'recharts'
+import { loadScenarios, saveScenario, renameScenario, duplicateScenario, deleteScenario, runScenario, withDefaults } from '../lib/scenarios.js'
+import { validateInputs } from '../lib/validate.js'
+
+const MAX_COMPARE = 5
+const money = (v) => v == null ? '—' : `$${v.toLocaleString()}`
+const yrs = (v) => v == null ? '—' : `${v} yrs`
+
+export default function ScenariosCard({ inputs, onLoad }){
+  const [list, setList] = useState(loadScenarios)
+  const [name, setName] = useState('')
+  const [picked, setPicked] = useState([])
+  const [err, setErr] = useState('')
+
+  // Storage writes can fail (quota, private mode); keep the list as it was
+  const update = (write) => {
+    try {
+      setList(write())
+      setErr('')
+      return true
+    } catch (e){
+      setErr(e.message)
+      return false
+    }
+  }
+  const save = () => {
+    const n = name.trim()
+    if (!n) return
+    if (update(()=>saveScenario(n, inputs))) setName('')
+  }
+  const rename = (s) => {
+    const n = window.prompt('Rename scenario', s.name)?.trim()
+    if (n) update(()=>renameScenario(s.id, n))
+  }
+  const remove = (s) => {
+    if (!window.confirm(`Delete "${s.name}"?`)) return
+    if (update(()=>deleteScenario(s.id))) setPicked(p=>p.filter(id=>id !== s.id))
+  }
+  const toggle = (id) => setPicked(p=>p.includes(id) ? p.filter(x=>x !== id) : p.length < MAX_COMPARE ? [...p, id] : p)
+
+  const compared = useMemo(()=>picked
+    .map(id=>list.find(s=>s.id === id)).filter(Boolean)
+    .map(s=>({ id: s.id, name: s.name, r: runScenario(s), ok: validateInputs(withDefaults(s.inputs)).ok })), [picked, list])
+
+  return (
+    <div className="card" style={{marginTop:16}}>
+      <h2>Scenarios</h2>
+      <div className="row">
+        <input style={{flex:1, width:'auto'}} placeholder="Scenario name (e.g. 123 Main St)" value={name} onChange={e=>setName(e.target.value)} onKeyDown={e=>e.key === 'Enter' && save()} />
+        <button className="btn" onClick={save} disabled={!name.trim()}>Save current</button>
+      </div>
+      {err && <p className="note" style={{color:'#b91c1c'}}>{err}</p>}
+      {list.length === 0
+        ? <p className="note">No saved scenarios yet. Scenarios are stored in this browser only.</p>
+        : (
+          <table style={{width:'100%', fontSize:13, marginTop:8}}>
+            <thead><tr><th>Compare</th><th style={{textAlign:'left'}}>Name</th><th style={{textAlign:'left'}}>Saved</th><th></th></tr></thead>
+            <tbody>
+              {list.map(s=>(
+                <tr key={s.id}>
+                  <td style={{textAlign:'center'}}><input type="checkbox" style={{width:'auto'}} checked={picked.includes(s.id)} disabled={!picked.includes(s.id) && picked.length >= MAX_COMPARE} onChange={()=>toggle(s.id)} /></td>
+                  <td>{s.name}</td>
+                  <td>{new Date(s.savedAt).toLocaleString()}</td>
+                  <td className="row" style={{justifyContent:'flex-end'}}>
+                    <button className="btn secondary" onClick={()=>onLoad(s.inputs)}>Load</button>
+                    <button className="btn secondary" onClick={()=>update(()=>duplicateScenario(s.id))}>Duplicate</button>
+                    <button className="btn secondary" onClick={()=>rename(s)}>Rename</button>
+                    <button className="btn secondary" onClick={()=>remove(s)}>Delete</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+      {picked.length > 0 && picked.length < 2 && <p className="note">Pick at least 2 scenarios (up to {MAX_COMPARE}) to compare.</p>}
+      {compared.length >= 2 && (
+        <div className="grid grid-2" style={{gridTemplateColumns:'repeat(auto-fit, minmax(320px, 1fr))', marginTop:12}}>
+          <table style={{width:'100%', fontSize:13}}>
+            <thead>
+              <tr><th></th>{compared.map(c=><th key={c.id} style={{textAlign:'right'}}>{c.name}</th>)}</tr>
+            </thead>
+            <tbody>
+              {[
+                ['Baseline', c=>money(c.baseline)],
+                ['All-Electric', c=>money(c.allElectric)],
+                ['Hybrid', c=>money(c.hybrid)],
+                ['Savings (All-Electric)', c=>money(c.savingsAll)],
+                ['Savings (Hybrid)', c=>money(c.savingsHybrid)],
+                ['Payback (All-Electric)', c=>yrs(c.paybackAll)],
+                ['Payback (Hybrid)', c=>yrs(c.paybackHybrid)],
+                ['Crossover', c=>c.crossoverTemp != null ? `${c.crossoverTemp}°F` : '—'],
+              ].map(([label, fmt])=>(
+                <tr key={label}><td>{label}</td>{compared.map(c=><td key={c.id} style={{textAlign:'right'}}>{c.ok ? fmt(c.r) : 'invalid'}</td>)}</tr>
+              ))}
+            </tbody>
+          </table>
+          <div style={{width:'100%', height:280}}>
+            <ResponsiveContainer>
+              <BarChart data={compared.filter(c=>c.ok).map(c=>({ name: c.name, baseline: c.r.baseline, allElectric: c.r.allElectric, hybrid: c.r.hybrid }))}>
+                <XAxis dataKey="name" />
+                <YAxis />
+                <Tooltip formatter={(v)=>`$${Number(v).toLocaleString()}`} />
+                <Legend />
+                <Bar dataKey="baseline" name="Baseline" fill="#9ca3af" />
+                <Bar dataKey="allElectric" name="All-Electric" fill="#2563eb" />
+                <Bar dataKey="hybrid" name="Hybrid" fill="#16a34a" />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,59 @@
+import React, { useMemo, useState } from 'react'
+import { BarChart, Bar, XAxis, YAxis, Tooltip, Legend, ReferenceLine, ResponsiveContainer } from 'recharts'
+import { num } from '../lib/helpers.js'
+import { sensitivity, tornado, METRICS } from '../lib/sensitivity.js'
+import FieldError from './FieldError.jsx'
+
+export default function SensitivityCard({ args, copScale, onCopScale, copScaleError, invalid=false }){
+  const [pct, setPct] = useState('10')
+  const [metric, setMetric] = useState('savingsAll')
+  const [open, setOpen] = useState(false)
+
+  const x = Math.min(99, Math.max(0, num(pct, 10)))
+  const result = useMemo(()=>open && !invalid ? sensitivity(args, x) : null, [open, invalid, args, x])
+  const m = METRICS.find(k=>k.key === metric)
+  const data = result ? tornado(result.rows, metric) : []
+  const fmt = (v) => m.unit === '$' ? `$${Number(v).toLocaleString()}` : `${v} yrs`
+
+  return (
+    <div className="card" style={{marginTop:16}}>
+      <h2>Sensitivity</h2>
+      <div className="grid" style={{gridTemplateColumns:'repeat(auto-fit, minmax(180px, 1fr))'}}>
+        <div><label>Vary each input by ± (%)</label><input value={pct} onChange={e=>setPct(e.target.value)} /></div>
+        <div><label>COP scale factor</label><input value={copScale} onChange={onCopScale} /><FieldError msg={copScaleError} /></div>
+        <div>
+          <label>Metric</label>
+          <select value={metric} onChange={e=>setMetric(e.target.value)}>
+            {METRICS.map(k=><option key={k.key} value={k.key}>{k.label}</option>)}
+          </select>
+        </div>
+      </div>
+      <div className="row" style={{marginTop:10}}>
+        <button className="btn secondary" onClick={()=>setOpen(v=>!v)} disabled={invalid}>{open ? 'Hide' : 'Run'} sensitivity</button>
+      </div>
+      {invalid && <p className="note">Results invalid — fix the highlighted inputs first.</p>}
+      {result && (
+        <>
+          <p className="note">Change in {m.label.toLowerCase()} from base {result.base[metric] != null ? fmt(result.base[metric]) : '—'} when each input is {x}% lower or higher. Rate fields have no effect while a tariff file is loaded.</p>
+          {data.length === 0
+            ? <p className="note">Not defined for the current inputs.</p>
+            : (
+              <div style={{width:'100%', height: 40 + data.length*32}}>
+                <ResponsiveContainer>
+                  <BarChart data={data} layout="vertical" margin={{left:40}}>
+                    <XAxis type="number" tickFormatter={(v)=>m.unit === '$' ? `$${v}` : v} />
+                    <YAxis type="category" dataKey="name" width={170} />
+                    <Tooltip formatter={(v)=>fmt(v)} />
+                    <Legend />
+                    <ReferenceLine x={0} stroke="#999" />
+                    <Bar dataKey="low" name={`-${x}%`} fill="#f59e0b" />
+                    <Bar dataKey="high" name={`+${x}%`} fill="#2563eb" />
+                  </BarChart>
+                </ResponsiveContainer>
+              </div>
+            )}
+        </>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,31 @@
+import React from 'react'
+import { PV_POLICIES } from '../lib/solar.js'
+import FieldError from './FieldError.jsx'
+
+// Rooftop PV inputs (sits with the other input cards)
+export default function SolarCard({ f, set, errors={}, policy, onPolicy, profile, onProfile, profileError }){
+  return (
+    <div className="card">
+      <h2>Solar PV</h2>
+      <div className="grid grid-2">
+        <div><label>System size (kW DC, 0 = none)</label><input value={f.pvKW} onChange={set('pvKW')} /><FieldError msg={errors.pvKW} /></div>
+        <div><label>Specific yield (kWh/kW/yr)</label><input value={f.pvYield} onChange={set('pvYield')} /><FieldError msg={errors.pvYield} /></div>
+        <div><label>PV cost ($)</label><input value={f.pvCost} onChange={set('pvCost')} /><FieldError msg={errors.pvCost} /></div>
+        <div><label>PV credits ($)</label><input value={f.pvCredits} onChange={set('pvCredits')} /><FieldError msg={errors.pvCredits} /></div>
+      </div>
+      <label>Crediting policy</label>
+      <select value={policy} onChange={e=>onPolicy(e.target.value)}>
+        {PV_POLICIES.map(([k, label])=><option key={k} value={k}>{label}</option>)}
+      </select>
+      {policy === 'export' && (<>
+        <label style={{marginTop:8}}>Export rate (¢/kWh)</label>
+        <input value={f.pvExportRate} onChange={set('pvExportRate')} />
+        <FieldError msg={errors.pvExportRate} />
+      </>)}
+      <label style={{marginTop:8}}>Monthly production (optional, kWh per kW, Jan–Dec)</label>
+      <input value={profile} onChange={onProfile} placeholder="e.g. from PVWatts; replaces the specific yield" />
+      <FieldError msg={profileError} />
+      <p className="note">PV offsets the all-electric home's base plus heat pump kWh. Supply-only credit uses the tariff's supply/generation charges.</p>
+    </div>
+  )
+}
@@ -0,0 +1,140 @@
+import React, { useMemo } from 'react'
+import { LineChart, Line, BarChart, Bar, Cell, XAxis, YAxis, Tooltip, Legend, ReferenceLine, ReferenceArea, ResponsiveContainer } from 'recharts'
+import { pairs, interp, normBins } from '../lib/helpers.js'
+
+const RED = '#b91c1c'
+
+// Textarea text ⇄ editable rows. The text is kept as pair segments and the
+// newlines/commas between them, so a grid edit rewrites only its own pair and
+// a comma-separated paste or a line the grid can't read stays as typed.
+// Rows keep the raw strings so a half-typed value survives.
+const tokens = (txt) => String(txt ?? '').split(/(\n|,)/)
+const toRows = (tok) => tok.flatMap((seg, at)=>{
+  if (at % 2 || !seg.includes(':')) return []
+  const [x = '', y = ''] = seg.split(':').map(s=>s.trim())
+  return [{ at, x, y }]
+})
+// Replace a segment's pair, keeping its surrounding whitespace (and any \r)
+const put = (tok, at, r) => {
+  const [, lead, , trail] = tok[at].match(/^(\s*)([\s\S]*?)(\s*)$/)
+  tok[at] = `${lead}${r.x}:${r.y}${trail}`
+}
+const bad = (v) => v.trim() === '' || !Number.isFinite(+v)
+
+const crossoverLabel = (t) => ({ value: `Crossover ${t}°F`, position: 'insideTopLeft', fontSize: 12, fill: '#b45309' })
+
+// Grid view of a "°F:value" textarea with add, remove and sort controls.
+// `extra` ({ label, value(row) }) adds a read-only column (e.g. the normalized share).
+export function PairsGrid({ text, onChange, valueLabel, positive=false, extra=null }){
+  const tok = tokens(text)
+  const rows = toRows(tok)
+  const skipped = tok.filter((seg, at)=>at % 2 === 0 && seg.trim() !== '' && !seg.includes(':')).length
+  const edit = (fn) => { const t = [...tok]; fn(t); onChange(t.join('')) }
+  const set = (i, patch) => edit(t=>put(t, rows[i].at, { ...rows[i], ...patch }))
+  // Drop the pair with the separator before it (after it for the first one)
+  const remove = (i) => edit(t=>{ const at = rows[i].at; t.splice(at > 0 ? at - 1 : 0, 2) })
+  const add = () => {
+    const last = rows[rows.length - 1]
+    const pair = last && Number.isFinite(+last.x) ? `${+last.x - 5}:${last.y}` : ':'
+    const sep = String(text).includes('\n') || !String(text).includes(',') ? '\n' : /,\s/.test(text) ? ', ' : ','
+    edit(t=>{ if (t[t.length - 1].trim() === '') t[t.length - 1] = pair; else t.push(sep, pair) })
+  }
+  // Pairs trade places; separators and unreadable lines stay where they are
+  const sort = () => edit(t=>[...rows].sort((a, b)=>(+b.x) - (+a.x)).forEach((r, k)=>put(t, rows[k].at, r)))
+  const input = (isBad) => ({ width: 70, ...(isBad ? { borderColor: RED } : {}) })
+  return (
+    <div>
+      <div style={{maxHeight:260, overflowY:'auto'}}>
+        <table style={{width:'100%', fontSize:13}}>
+          <thead><tr><th>°F</th><th>{valueLabel}</th>{extra && <th style={{textAlign:'right'}}>{extra.label}</th>}<th></th></tr></thead>
+          <tbody>
+            {rows.map((r, i)=>(
+              <tr key={i}>
+                <td><input value={r.x} onChange={e=>set(i, { x: e.target.value })} style={input(bad(r.x))} /></td>
+                <td><input value={r.y} onChange={e=>set(i, { y: e.target.value })} style={input(bad(r.y) || (positive ? +r.y <= 0 : +r.y < 0))} /></td>
+                {extra && <td className="note" style={{textAlign:'right'}}>{extra.value(r)}</td>}
+                <td><button className="btn secondary" onClick={()=>remove(i)} title="Remove row">×</button></td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      {skipped > 0 && <p className="note">{skipped} {skipped === 1 ? 'entry' : 'entries'} without a ":" {skipped === 1 ? 'is' : 'are'} only in the text below.</p>}
+      <div className="row" style={{marginTop:6}}>
+        <button className="btn secondary" onClick={add}>Add row</button>
+        <button className="btn secondary" onClick={sort} disabled={rows.length < 2}>Sort warmest first</button>
+      </div>
+    </div>
+  )
+}
+
+// COP vs outdoor temperature: table points, the linear interpolation between
+// them, and the flat clamp interp() applies beyond either end (dashed)
+export function CopChart({ text, scale=1, crossoverTemp=null }){
+  const table = useMemo(()=>pairs(text), [text])
+  const data = useMemo(()=>{
+    if (!table.length) return []
+    const lo = table[0].x, hi = table[table.length - 1].x
+    const from = Math.floor(Math.min(lo, crossoverTemp ?? lo) - 10), to = Math.ceil(Math.max(hi, crossoverTemp ?? hi) + 10)
+    const ts = [...new Set([...Array.from({ length: to - from + 1 }, (_, i)=>from + i), ...table.map(r=>r.x)])].sort((a, b)=>a - b)
+    return ts.map(t=>{
+      const y = +interp(table, t).toFixed(3)
+      const point = table.find(r=>r.x === t)
+      return {
+        t,
+        cop: t >= lo && t <= hi ? y : null,
+        clamp: t <= lo || t >= hi ? y : null,
+        ...(scale !== 1 ? { scaled: +(y*scale).toFixed(3) } : {}),
+        point: point ? point.y : null,
+      }
+    })
+  }, [table, scale, crossoverTemp])
+  if (!data.length) return <p className="note">Enter at least one row to see the COP curve.</p>
+  const lo = table[0].x, hi = table[table.length - 1].x
+  return (
+    <div style={{width:'100%', height:220}}>
+      <ResponsiveContainer>
+        <LineChart data={data}>
+          <XAxis dataKey="t" type="number" domain={['dataMin', 'dataMax']} tickFormatter={(t)=>`${t}°F`} />
+          <YAxis domain={[0, 'auto']} />
+          <Tooltip labelFormatter={(t)=>`${t}°F`} formatter={(v)=>v == null ? '—' : Number(v).toFixed(2)} />
+          <Legend />
+          <ReferenceArea x1={data[0].t} x2={lo} fill="#f3f4f6" />
+          <ReferenceArea x1={hi} x2={data[data.length - 1].t} fill="#f3f4f6" />
+          {crossoverTemp != null && <ReferenceLine x={crossoverTemp} stroke="#b45309" strokeDasharray="4 4" label={crossoverLabel(crossoverTemp)} />}
+          <Line dataKey="cop" name="Interpolated" stroke="#2563eb" dot={false} isAnimationActive={false} />
+          <Line dataKey="clamp" name="Clamped beyond table" stroke="#2563eb" strokeDasharray="5 5" dot={false} isAnimationActive={false} />
+          {scale !== 1 && <Line dataKey="scaled" name={`× ${scale} scale`} stroke="#16a34a" dot={false} isAnimationActive={false} />}
+          <Line dataKey="point" name="Table" stroke="none" dot={{ r: 3, fill: '#1e3a8a' }} legendType="circle" isAnimationActive={false} />
+        </LineChart>
+      </ResponsiveContainer>
+    </div>
+  )
+}
+
+// Normalized bins (what the engine uses) with the crossover marked. Bars are
+// coloured by where the hybrid switches in the current mode: the crossover for
+// ideal switching, else the lockout setpoint (`switchTemp`, `switchLabel`).
+export function BinsChart({ text, crossoverTemp=null, switchTemp=crossoverTemp, switchLabel='Crossover' }){
+  const data = useMemo(()=>normBins(pairs(text)).map(b=>({ t: b.x, pct: +b.y.toFixed(2) })), [text])
+  if (!data.length) return <p className="note">Enter at least one row to see the bins.</p>
+  const hp = (t) => switchTemp != null && t >= switchTemp
+  return (
+    <div style={{width:'100%', height:220}}>
+      <ResponsiveContainer>
+        <BarChart data={data}>
+          <XAxis dataKey="t" type="number" domain={['dataMin - 5', 'dataMax + 5']} tickFormatter={(t)=>`${t}°F`} />
+          <YAxis tickFormatter={(v)=>`${v}%`} />
+          <Tooltip labelFormatter={(t)=>`${t}°F`} formatter={(v)=>`${v}% of heating`} />
+          {crossoverTemp != null && <ReferenceLine x={crossoverTemp} stroke="#b45309" strokeDasharray="4 4" label={crossoverLabel(crossoverTemp)} />}
+          {switchTemp != null && switchTemp !== crossoverTemp && (
+            <ReferenceLine x={switchTemp} stroke="#1e3a8a" strokeDasharray="2 2" label={{ value: `${switchLabel} ${switchTemp}°F`, position: 'insideTopRight', fontSize: 12, fill: '#1e3a8a' }} />
+          )}
+          <Bar dataKey="pct" name="Share of heating" isAnimationActive={false}>
+            {data.map(d=><Cell key={d.t} fill={hp(d.t) ? '#2563eb' : '#f59e0b'} />)}
+          </Bar>
+        </BarChart>
+      </ResponsiveContainer>
+    </div>
+  )
+}
@@ -0,0 +1,36 @@
+import React, { useState } from 'react'
+import { parseTariff } from '../lib/tariffs.js'
+import { downloadJSON } from '../lib/download.js'
+
+// Shows the preset's form fields (children) until a custom tariff file is loaded
+export default function TariffPicker({ fuel, tariff, preset, onChange, children }){
+  const [err, setErr] = useState('')
+  const load = async (e) => {
+    const file = e.target.files?.[0]
+    if (!file) return
+    try {
+      onChange(parseTariff(await file.text(), fuel))
+      setErr('')
+    } catch (ex){
+      setErr(ex.message)
+    }
+    e.target.value = ''
+  }
+  const active = tariff || preset
+  return (
+    <>
+      {tariff
+        ? <p className="note">Tariff: <b>{tariff.name}</b> ({tariff.charges.length} charges)</p>
+        : children}
+      <div className="row" style={{marginTop:8}}>
+        <label className="btn secondary" style={{margin:0}}>
+          Load tariff JSON
+          <input type="file" accept=".json,application/json" onChange={load} style={{display:'none'}} />
+        </label>
+        <button className="btn secondary" onClick={()=>downloadJSON(active, `${fuel}-tariff.json`)}>Download JSON</button>
+        {tariff && <button className="btn secondary" onClick={()=>onChange(null)}>Use {preset.name}</button>}
+      </div>
+      {err && <p className="note" style={{color:'#b91c1c'}}>{err}</p>}
+    </>
+  )
+}
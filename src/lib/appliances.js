@@ -0,0 +1,59 @@
+// ---------- Gas appliances and their electric replacements ----------
+//
+// Optional end uses besides space heating. Each is in one of three states:
+//   none    no gas appliance (nothing modeled)
+//   gas     on gas in every scenario, so all-electric keeps the gas service
+//   switch  on gas in the baseline and hybrid, electric in all-electric
+// Annual energy:
+//   water   hot water (MMBtu) = gal/day × 8.34 lb/gal × HW_RISE °F × 365 / 1e6;
+//           gas therms = load / gas UEF / 0.1, HPWH kWh = load × 293.071 / HPWH UEF
+//   range   gas therms as entered; induction kWh delivers the same cooking heat
+//           at RANGE_EFF.induction instead of RANGE_EFF.gas
+//   dryer   loads/yr × DRYER_THERMS_PER_LOAD therms, or × heat pump dryer kWh
+//           per load (net of the gas dryer's own drum and fan kWh)
+// Usage is spread evenly over the year.
+
+export const HW_RISE = 70
+// Cooking efficiency (DOE test procedure figures)
+export const RANGE_EFF = { gas: 0.32, induction: 0.85 }
+export const DRYER_THERMS_PER_LOAD = 0.1
+
+const KWH_PER_THERM = 29.3071
+
+export const END_USES = [
+  ['water', 'Water heater', 'Heat pump water heater'],
+  ['range', 'Range', 'Induction range'],
+  ['dryer', 'Clothes dryer', 'Heat pump dryer'],
+]
+
+export const APPLIANCE_STATES = [
+  ['none', 'No gas appliance'],
+  ['gas', 'Gas (kept)'],
+  ['switch', 'Switch to electric'],
+]
+
+export const defaultAppliances = () => ({ water: 'none', range: 'none', dryer: 'none' })
+
+// "water:switch,range:gas" ⇄ { water, range, dryer }; unknown entries are dropped
+export const encodeAppliances = (a) => END_USES.filter(([k])=>a[k] && a[k] !== 'none').map(([k])=>`${k}:${a[k]}`).join(',')
+export const decodeAppliances = (txt) => {
+  const a = defaultAppliances()
+  String(txt ?? '').split(',').forEach(p=>{
+    const [k, v] = p.split(':').map(s=>s.trim())
+    if (k in a && APPLIANCE_STATES.some(([s])=>s === v)) a[k] = v
+  })
+  return a
+}
+
+// Annual gas and electric use of each modeled end use, with its project cost:
+// [{ id, name, electric, state, therms, kwh, cost, credits }]
+export function endUses(p, states={}){
+  const hwMMBtu = p.hwGallons*8.34*HW_RISE*365/1e6
+  const use = {
+    water: { therms: hwMMBtu/p.gasWhUEF*10, kwh: hwMMBtu*KWH_PER_THERM*10/p.hpwhUEF, cost: p.hpwhCost, credits: p.hpwhCredits },
+    range: { therms: p.rangeTherms, kwh: p.rangeTherms*KWH_PER_THERM*RANGE_EFF.gas/RANGE_EFF.induction, cost: p.rangeCost, credits: p.rangeCredits },
+    dryer: { therms: p.dryerLoads*DRYER_THERMS_PER_LOAD, kwh: p.dryerLoads*p.hpDryerKWh, cost: p.dryerCost, credits: p.dryerCredits },
+  }
+  return END_USES.filter(([k])=>states[k] === 'gas' || states[k] === 'switch')
+    .map(([k, name, electric])=>({ id: k, name, electric, state: states[k], ...use[k] }))
+}
@@ -0,0 +1,179 @@
+import { calculate } from './engine.js'
+import { D } from './defaults.js'
+import { calcArgs, defaultInputs } from './scenarios.js'
+import { validateInputs, describeErrors } from './validate.js'
+import { findStation, climate, binsText as stationBinsText } from './climate.js'
+import { CATALOG, copText as modelCopText, capText as modelCapText } from './equipment.js'
+import { parseTariff } from './tariffs.js'
+import { parseIncentives } from './incentives.js'
+import { decodeAppliances } from './appliances.js'
+import { parseWeather } from './weather.js'
+import { cell } from './runfile.js'
+
+// ---------- Batch runs (one home per row) ----------
+//
+// Homes come from a CSV with a header row or from JSON (an array of objects, or
+// { "homes": [...] }). Columns / keys:
+//   name                 label for the home
+//   any field of D       kwhBase, gasSupply, heatMMBtu, …; blank uses the default
+//   table                0 / false for the seasonal-COP model
+//   cop                  COP table: inline "47:3.8;17:2.5", an equipment id
+//                        (equipment.js) or a file of "°F:COP" lines
+//   bins                 weather bins: inline "°F:%;…" or a file
+//   location             climate station id: bins (unless given), monthly HDD/CDD
+//                        and design temp (unless given)
+//   capacity             capacity table (same forms as cop); limits the heat pump
+//   backup               electric | gas, for the capacity-limited all-electric case
+//   hybrid               ideal | lockout | optimal
+//   weather              EPW / TMY3 file for an hourly run
+//   elecTariff, gasTariff, incentives   JSON files
+//   appliances           "water:switch,range:gas,…"
+// Files are read through the caller's `read(path)`, so this module stays free
+// of Node APIs. A row that fails (bad value, missing file, unknown station) is
+// reported on its own and the rest of the batch still runs.
+
+const REFS = ['name', 'table', 'cop', 'bins', 'location', 'capacity', 'backup', 'hybrid', 'weather',
+  'elecTariff', 'gasTariff', 'incentives', 'appliances']
+
+export const RESULT_COLUMNS = ['row', 'name', 'status', 'baseline', 'allElectric', 'hybrid', 'savingsAll', 'savingsHybrid',
+  'paybackAll', 'paybackHybrid', 'crossoverTemp', 'netCost', 'errors']
+
+// RFC 4180 CSV: quoted fields may hold commas, "" and newlines
+export function parseCSV(text){
+  const rows = []
+  let row = [], cur = '', q = false
+  const s = String(text).replace(/^\uFEFF/, '')
+  for (let i=0; i<s.length; i++){
+    const ch = s[i]
+    if (q){
+      if (ch === '"' && s[i+1] === '"'){ cur += '"'; i++ }
+      else if (ch === '"') q = false
+      else cur += ch
+    } else if (ch === '"') q = true
+    else if (ch === ','){ row.push(cur); cur = '' }
+    else if (ch === '\n' || ch === '\r'){
+      if (ch === '\r' && s[i+1] === '\n') i++
+      row.push(cur); rows.push(row); row = []; cur = ''
+    } else cur += ch
+  }
+  if (cur !== '' || row.length){ row.push(cur); rows.push(row) }
+  return rows.filter(r=>r.some(c=>c.trim() !== ''))
+}
+
+// → { homes: [{ row, values, problem? }], unknown: [column names not recognized] }.
+// `row` is the spreadsheet row for CSV (header is row 1), the 1-based index for JSON.
+export function parseHomes(text){
+  const t = String(text).trim()
+  let homes
+  if (t.startsWith('[') || t.startsWith('{')){
+    let data
+    try { data = JSON.parse(t) } catch (e){ throw new Error(`Invalid JSON: ${e.message}`) }
+    const list = Array.isArray(data) ? data : data?.homes
+    if (!Array.isArray(list)) throw new Error('JSON input needs an array of homes (or a "homes" array)')
+    homes = list.map((values, i)=>({ row: i + 1, values: values && typeof values === 'object' ? values : {} }))
+  } else {
+    const [head, ...rows] = parseCSV(t)
+    if (!head) throw new Error('Input file is empty')
+    const cols = head.map(h=>h.trim())
+    homes = rows.map((r, i)=>({
+      row: i + 2,
+      values: Object.fromEntries(cols.map((c, j)=>[c, r[j] ?? ''])),
+      ...(r.length > cols.length ? { problem: `${r.length} values for ${cols.length} columns (quote values that contain commas, e.g. "0,52" → 0.52)` } : {}),
+    }))
+  }
+  const known = new Set([...Object.keys(D), ...REFS])
+  const unknown = [...new Set(homes.flatMap(h=>Object.keys(h.values)))].filter(k=>k && !known.has(k))
+  return { homes, unknown }
+}
+
+const blank = (v) => v == null || String(v).trim() === ''
+const inline = (v) => /^\s*-?\d/.test(v) && v.includes(':')
+
+// "°F:value" text from an inline table, an equipment id or a file
+const table = (v, what, read, pick) => {
+  const s = String(v).trim()
+  if (inline(s)) return { text: s.replace(/;/g, '\n') }
+  const model = pick && CATALOG.find(m=>m.id === s)
+  if (model) return { text: pick(model), model }
+  return { text: read(s, what) }
+}
+
+// Calculator inputs (as in scenarios.js) plus hourly weather for one home.
+// Throws on a reference that can't be resolved.
+export function homeInputs(values, read){
+  const s = defaultInputs()
+  const v = (k) => blank(values[k]) ? null : String(values[k]).trim()
+  for (const k of Object.keys(D)) if (v(k) != null) s.f[k] = v(k)
+
+  if (v('table') != null) s.useTable = !/^(0|false|no)$/i.test(v('table'))
+  if (v('location') != null){
+    const st = findStation(v('location'))
+    if (!st) throw new Error(`Unknown climate location "${v('location')}"`)
+    s.location = st.id
+    s.binsText = stationBinsText(climate(st).bins)
+    if (v('designTemp') == null) s.f.designTemp = String(st.design)
+  }
+  if (v('cop') != null){
+    const t = table(v('cop'), 'COP table', read, modelCopText)
+    s.copText = t.text
+    if (t.model){ s.equipment = t.model.name; s.capText = modelCapText(t.model) }
+  }
+  if (v('bins') != null) s.binsText = table(v('bins'), 'weather bins', read).text
+  if (v('capacity') != null){
+    s.useCapacity = true
+    s.capText = table(v('capacity'), 'capacity table', read, modelCapText).text
+  }
+  if (v('backup') != null){
+    if (!['electric', 'gas'].includes(v('backup'))) throw new Error(`backup must be electric or gas, not "${v('backup')}"`)
+    s.backup = v('backup')
+  }
+  if (v('hybrid') != null){
+    if (!['ideal', 'lockout', 'optimal'].includes(v('hybrid'))) throw new Error(`hybrid must be ideal, lockout or optimal, not "${v('hybrid')}"`)
+    s.hybridMode = v('hybrid')
+  }
+  for (const [k, fuel] of [['elecTariff', 'electric'], ['gasTariff', 'gas']]){
+    if (v(k) == null) continue
+    try { s[k] = parseTariff(read(v(k), `${fuel} tariff`), fuel) }
+    catch (e){ throw new Error(`${k} ${v(k)}: ${e.message}`) }
+  }
+  if (v('incentives') != null){
+    try { s.incentives = parseIncentives(read(v('incentives'), 'incentive list')) }
+    catch (e){ throw new Error(`incentives ${v('incentives')}: ${e.message}`) }
+  }
+  if (v('appliances') != null) s.appliances = decodeAppliances(v('appliances'))
+
+  let hours = null
+  if (v('weather') != null){
+    try { hours = parseWeather(read(v('weather'), 'weather file')).hours }
+    catch (e){ throw new Error(`weather ${v('weather')}: ${e.message}`) }
+  }
+  return { inputs: s, hours }
+}
+
+// One result row per home; status is 'ok' or 'error' with the reasons joined
+export function runHome({ row, values, problem }, read){
+  const name = blank(values.name) ? `row ${row}` : String(values.name).trim()
+  const fail = (errors) => ({ row, name, status: 'error', errors })
+  if (problem) return fail([problem])
+  let home
+  try { home = homeInputs(values, read) } catch (e){ return fail([e.message]) }
+  const check = validateInputs(home.inputs)
+  if (!check.ok) return fail(describeErrors(check))
+  let r
+  try { r = calculate({ ...calcArgs(home.inputs), hours: home.hours }) } catch (e){ return fail([e.message]) }
+  return {
+    row, name, status: 'ok', errors: [],
+    ...Object.fromEntries(RESULT_COLUMNS.slice(3, -1).map(k=>[k, r[k]])),
+  }
+}
+
+export const runBatch = (homes, read, onRow) => homes.map(h=>{
+  const r = runHome(h, read)
+  if (onRow) onRow(r)
+  return r
+})
+
+export const resultsCSV = (results) => [
+  RESULT_COLUMNS.join(','),
+  ...results.map(r=>RESULT_COLUMNS.map(k=>cell(k === 'errors' ? r.errors.join('; ') : r[k])).join(',')),
+].join('\n') + '\n'
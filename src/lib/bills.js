@@ -0,0 +1,253 @@
+import { MONTHLY_HDD } from './defaults.js'
+import { MMBTU_PER_THERM } from './engine.js'
+
+// ---------- Utility bill import & degree-day calibration ----------
+//
+// Every format is parsed into billing periods:
+//   { start, end, days, therms?, kwh?, hdd? }  start/end are UTC Date (end exclusive)
+//
+// Supported files:
+//   - Plain CSV with a header row: start/end date columns (or a single read
+//     date, each period starting at the previous read) plus therms and/or kWh,
+//     and optionally the period's actual heating degree days (an "hdd" column,
+//     as printed on many gas bills)
+//   - Green Button "Download my data" CSV (TYPE, START DATE/DATE, END DATE,
+//     USAGE, UNITS, …); interval rows are rolled up by calendar month
+//   - Green Button ESPI XML (IntervalReading blocks with start, duration, value)
+
+const DAY = 86400000
+const CCF_TO_THERMS = 1.037
+
+const parseDate = (s) => {
+  s = (s || '').trim().replace(/^"|"$/g, '')
+  let m = s.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/)
+  if (m) return new Date(Date.UTC(+m[1], m[2]-1, +m[3]))
+  m = s.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2,4})/)
+  if (m) return new Date(Date.UTC(m[3].length === 2 ? 2000 + +m[3] : +m[3], m[1]-1, +m[2]))
+  return null
+}
+
+const csvRows = (text) => text.split(/\r?\n/).filter(l=>l.trim())
+  .map(l=>l.split(',').map(c=>c.trim().replace(/^"|"$/g, '')))
+
+const mkPeriod = (start, end, vals) => ({ start, end, days: Math.round((end - start)/DAY), ...vals })
+
+// Unit name → { key, factor } for Green Button usage columns
+const unitOf = (u) => {
+  u = (u || '').toLowerCase()
+  if (u.includes('kwh')) return { key: 'kwh', factor: 1 }
+  if (u.includes('wh')) return { key: 'kwh', factor: 0.001 }
+  if (u.includes('therm')) return { key: 'therms', factor: 1 }
+  if (u.includes('ccf')) return { key: 'therms', factor: CCF_TO_THERMS }
+  return null
+}
+
+// Roll interval readings ({ start, end, key, value }) into calendar-month periods
+const byMonth = (readings) => {
+  const months = new Map()
+  for (const r of readings){
+    const k = `${r.start.getUTCFullYear()}-${r.start.getUTCMonth()}`
+    const m = months.get(k) || { start: r.start, end: r.end, kwh: 0, therms: 0 }
+    if (r.start < m.start) m.start = r.start
+    if (r.end > m.end) m.end = r.end
+    m[r.key] += r.value
+    months.set(k, m)
+  }
+  return [...months.values()].sort((a,b)=>a.start - b.start)
+    .map(m=>mkPeriod(m.start, m.end, {
+      ...(m.kwh ? { kwh: m.kwh } : {}), ...(m.therms ? { therms: m.therms } : {}),
+    }))
+}
+
+function parseGreenButtonCSV(rows){
+  const hi = rows.findIndex(r=>r.some(c=>/^usage$/i.test(c)) && r.some(c=>/^units$/i.test(c)))
+  const head = rows[hi].map(c=>c.toLowerCase())
+  const col = (re) => head.findIndex(h=>re.test(h))
+  const iUse = col(/^usage$/), iUnit = col(/^units$/)
+  const iStart = col(/^start date$|^date$/), iEnd = col(/^end date$/)
+  const iStartTime = col(/^start time$/)
+  const readings = []
+  for (const r of rows.slice(hi+1)){
+    const u = unitOf(r[iUnit])
+    const start = parseDate(r[iStart])
+    const value = parseFloat(r[iUse])
+    if (!u || !start || !Number.isFinite(value)) continue
+    // Bill-level rows carry an end date; interval rows only a date (+ times)
+    const end = iEnd >= 0 && parseDate(r[iEnd]) ? new Date(parseDate(r[iEnd]).getTime() + DAY) : new Date(start.getTime() + DAY)
+    readings.push({ start, end, key: u.key, value: value*u.factor, interval: iEnd < 0 && iStartTime >= 0 })
+  }
+  if (!readings.length) throw new Error('No usage rows found in Green Button CSV')
+  return readings.every(r=>!r.interval) && iEnd >= 0
+    ? readings.map(r=>mkPeriod(r.start, r.end, { [r.key]: r.value }))
+    : byMonth(readings)
+}
+
+function parseBillCSV(rows){
+  const head = rows[0].map(c=>c.toLowerCase())
+  const col = (re) => head.findIndex(h=>re.test(h))
+  const iStart = col(/start|from/)
+  const iEnd = col(/end|to\b/) >= 0 ? col(/end|to\b/) : head.findIndex((h,i)=>i !== iStart && /read|date/.test(h))
+  const iTherm = col(/therm|ccf/), iKWh = col(/kwh/), iHDD = col(/^hdd|degree.?days?$/)
+  if (iEnd < 0) throw new Error('Bill CSV needs an end (or read) date column')
+  if (iTherm < 0 && iKWh < 0) throw new Error('Bill CSV needs a therms or kWh column')
+  const ccf = iTherm >= 0 && /ccf/.test(head[iTherm])
+  const periods = []
+  let prevEnd = null
+  for (const r of rows.slice(1)){
+    const end = parseDate(r[iEnd])
+    if (!end) continue
+    const start = iStart >= 0 && iStart !== iEnd ? parseDate(r[iStart]) : prevEnd
+    prevEnd = end
+    if (!start || end <= start) continue
+    const vals = {}
+    if (iTherm >= 0 && Number.isFinite(parseFloat(r[iTherm]))) vals.therms = parseFloat(r[iTherm])*(ccf ? CCF_TO_THERMS : 1)
+    if (iKWh >= 0 && Number.isFinite(parseFloat(r[iKWh]))) vals.kwh = parseFloat(r[iKWh])
+    if (iHDD >= 0 && Number.isFinite(parseFloat(r[iHDD]))) vals.hdd = parseFloat(r[iHDD])
+    periods.push(mkPeriod(start, end, vals))
+  }
+  return periods
+}
+
+function parseGreenButtonXML(text){
+  const tag = (name, s) => s.match(new RegExp(`<(?:\\w+:)?${name}>([^<]*)</(?:\\w+:)?${name}>`))?.[1]
+  const u = { 72: { key: 'kwh', factor: 0.001 }, 169: { key: 'therms', factor: 1 } }[+tag('uom', text)]
+  if (!u) throw new Error('Green Button XML: unsupported unit of measure (expected Wh or therms)')
+  const factor = u.factor*Math.pow(10, +(tag('powerOfTenMultiplier', text) || 0))
+  const readings = []
+  const re = /<(?:\w+:)?IntervalReading>([\s\S]*?)<\/(?:\w+:)?IntervalReading>/g
+  for (const [, block] of text.matchAll(re)){
+    const start = new Date(+tag('start', block)*1000)
+    const dur = +tag('duration', block)
+    const value = +tag('value', block)
+    if (!Number.isFinite(dur) || !Number.isFinite(value)) continue
+    readings.push({ start, end: new Date(start.getTime() + dur*1000), key: u.key, value: value*factor })
+  }
+  if (!readings.length) throw new Error('Green Button XML: no IntervalReading entries')
+  return byMonth(readings)
+}
+
+export function parseBills(text){
+  if (/^\s*</.test(text)) return { source: 'Green Button XML', periods: parseGreenButtonXML(text) }
+  const rows = csvRows(text)
+  const gb = rows.some(r=>r.some(c=>/^usage$/i.test(c)) && r.some(c=>/^units$/i.test(c)))
+  const periods = gb ? parseGreenButtonCSV(rows) : parseBillCSV(rows)
+  if (!periods.length) throw new Error('No billing periods found')
+  return { source: gb ? 'Green Button CSV' : 'Bill CSV', periods }
+}
+
+// Combine periods from several files (e.g. separate gas and electric downloads)
+export const mergeBills = (...lists) => lists.flat().sort((a,b)=>a.start - b.start)
+
+// ---------- Degree days ----------
+// HDD for each day of a typical year, keyed "month-day". From hourly weather
+// (degree-hours below the balance point / 24) when loaded, else the monthly
+// HDD65 table spread evenly over each month.
+export function dailyHDD({ hours=null, balancePoint=65, monthlyHDD=MONTHLY_HDD } = {}){
+  const map = new Map()
+  if (hours?.length){
+    for (const h of hours){
+      const k = `${h.month}-${h.day}`
+      map.set(k, (map.get(k) || 0) + Math.max(0, balancePoint - h.t)/24)
+    }
+  } else {
+    const dim = [31,28,31,30,31,30,31,31,30,31,30,31]
+    dim.forEach((n,m)=>{ for (let d=1; d<=n; d++) map.set(`${m+1}-${d}`, monthlyHDD[m]/n) })
+  }
+  return map
+}
+
+// Actual daily heating degree days for the billing dates, keyed "YYYY-MM-DD",
+// from a CSV of date and HDD columns (e.g. a degree-day service download for
+// the nearest station). A header row is optional.
+export function parseDegreeDays(text){
+  const rows = csvRows(text)
+  if (!rows.length) throw new Error('Degree-day file is empty')
+  const head = rows[0].map(c=>c.toLowerCase())
+  const hasHead = !parseDate(rows[0][0])
+  const iDate = hasHead ? Math.max(0, head.findIndex(h=>/date/.test(h))) : 0
+  const named = hasHead ? head.findIndex((h, i)=>i !== iDate && /hdd|heating|degree/.test(h)) : -1
+  const iHDD = named >= 0 ? named : iDate === 0 ? 1 : 0
+  const map = new Map()
+  for (const r of rows.slice(hasHead ? 1 : 0)){
+    const d = parseDate(r[iDate]), v = parseFloat(r[iHDD])
+    if (d && Number.isFinite(v)) map.set(d.toISOString().slice(0, 10), v)
+  }
+  if (!map.size) throw new Error('No date / HDD rows found in degree-day file')
+  return map
+}
+
+// Degree days for one period: the bill's own figure, else the actual daily
+// series when it covers every day, else the typical year
+const periodHDD = (p, daily, actual) => {
+  if (p.hdd != null) return { hdd: p.hdd, actual: true }
+  let hdd = 0, typ = 0, covered = !!actual
+  for (let t=p.start.getTime(); t<p.end.getTime(); t+=DAY){
+    const d = new Date(t)
+    typ += daily.get(`${d.getUTCMonth()+1}-${Math.min(d.getUTCDate(), d.getUTCMonth() === 1 ? 28 : 31)}`) || 0
+    if (!covered) continue
+    const v = actual.get(d.toISOString().slice(0, 10))
+    if (v == null) covered = false
+    else hdd += v
+  }
+  return covered ? { hdd, actual: true } : { hdd: typ, actual: false }
+}
+
+// Weighted least squares of use/day = base + slope·HDD/day (weights = days).
+// `actualDays` counts periods regressed on the weather that actually occurred;
+// the rest use typical-year HDD, which biases the slope in a mild or cold year.
+export function regress(periods, key, daily, actual=null){
+  const pts = periods.filter(p=>p[key] != null && p.days > 0)
+    .map(p=>{ const h = periodHDD(p, daily, actual); return { w: p.days, x: h.hdd/p.days, y: p[key]/p.days, actual: h.actual } })
+  if (pts.length < 3) return null
+  const W = pts.reduce((k,p)=>k+p.w, 0)
+  const mx = pts.reduce((k,p)=>k+p.w*p.x, 0)/W
+  const my = pts.reduce((k,p)=>k+p.w*p.y, 0)/W
+  const sxx = pts.reduce((k,p)=>k+p.w*(p.x-mx)**2, 0)
+  const sxy = pts.reduce((k,p)=>k+p.w*(p.x-mx)*(p.y-my), 0)
+  const slope = sxx > 0 ? Math.max(0, sxy/sxx) : 0
+  const base = my - slope*mx
+  const sse = pts.reduce((k,p)=>k+p.w*(p.y - base - slope*p.x)**2, 0)
+  const sst = pts.reduce((k,p)=>k+p.w*(p.y-my)**2, 0)
+  const dof = Math.max(1, pts.length - 2)
+  return {
+    base, slope, n: pts.length, days: W, actualPeriods: pts.filter(p=>p.actual).length,
+    r2: sst > 0 ? 1 - sse/sst : 0,
+    cvrmse: my > 0 ? Math.sqrt(sse/W*pts.length/dof)/my : null,
+  }
+}
+
+const annualHDD = (daily) => [...daily.values()].reduce((a,b)=>a+b, 0)
+
+// ASHRAE Guideline 14-style check for monthly data
+const reliable = (fit) => fit.n >= 12 && fit.r2 >= 0.75 && fit.cvrmse != null && fit.cvrmse <= 0.15
+
+// heatMMBtu is delivered heat: the HDD-driven therms times furnace AFUE.
+// kwhBase is annualized total kWh (the baseline home heats with gas).
+// Annual figures are projected onto the typical year (weather-normalized);
+// `actual` is an optional parseDegreeDays() map for the billing dates.
+export function calibrate(periods, { afue, actual=null, ...weather }){
+  const daily = dailyHDD(weather)
+  const hdd = annualHDD(daily)
+  const out = { annualHDD: Math.round(hdd) }
+  const gas = regress(periods, 'therms', daily, actual)
+  if (gas){
+    const heatTherms = gas.slope*hdd
+    out.gas = {
+      ...gas,
+      heatTherms: Math.round(heatTherms),
+      baseTherms: Math.round(gas.base*365),
+      heatMMBtu: +(heatTherms*MMBTU_PER_THERM*afue).toFixed(1),
+      reliable: reliable(gas),
+    }
+  }
+  const elec = regress(periods, 'kwh', daily, actual)
+  if (elec){
+    out.elec = {
+      ...elec,
+      kwhBase: Math.round((elec.base + elec.slope*hdd/365)*365),
+      // Only annualized here, so a full year of coverage is what matters
+      reliable: elec.days >= 330,
+    }
+  }
+  return out
+}
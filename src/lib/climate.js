@@ -0,0 +1,107 @@
+import { STATIONS } from './stations.js'
+
+// ---------- Climate locations ----------
+//
+// Each station carries four rounded numbers: Jan/Jul mean temperatures,
+// annual HDD65 and the 99% design temperature. No binned hour counts are
+// bundled; everything below is modeled from those four. Monthly means follow a cosine through Jan and Jul;
+// hourly temperatures in each month are treated as normal around that mean,
+// with a spread chosen so 1% of the year's hours fall below the design
+// temperature. Weather bins are the share of heating degree-hours in each
+// 5°F bin; monthly HDD are scaled to the station's annual HDD65.
+
+const CA = ['ON','QC','NS','NB','PE','NL','MB','SK','AB','BC','YT','NT','NU']
+const HOURS = [744,672,744,720,744,720,744,744,720,744,720,744]
+const BIN_LO = -40, BIN_HI = 60
+
+const erf = (x) => {
+  // Abramowitz–Stegun 7.1.26
+  const s = Math.sign(x), a = Math.abs(x), t = 1/(1 + 0.3275911*a)
+  const y = 1 - (((((1.061405429*t - 1.453152027)*t) + 1.421413741)*t - 0.284496736)*t + 0.254829592)*t*Math.exp(-a*a)
+  return s*y
+}
+const cdf = (x, mu, sd) => 0.5*(1 + erf((x - mu)/(sd*Math.SQRT2)))
+const pdf = (z) => Math.exp(-z*z/2)/Math.sqrt(2*Math.PI)
+
+export const station = (row) => {
+  const [id, name, region, prefixes, jan, jul, hdd65, design] = row
+  return {
+    id, name, region, jan, jul, hdd65, design,
+    country: CA.includes(region) ? 'CA' : 'US',
+    prefixes: prefixes.split(' '),
+    label: `${name}, ${region}`,
+    source: 'Modeled screening estimate from rounded station summaries; not measured bin data',
+  }
+}
+
+export const ALL_STATIONS = STATIONS.map(station)
+export const findStation = (id) => ALL_STATIONS.find(s=>s.id === id) || null
+
+// Monthly mean °F, coldest ~Jan 20, warmest ~Jul 20
+export const monthlyMeans = (s) => {
+  const mid = (s.jan + s.jul)/2, amp = (s.jul - s.jan)/2
+  return HOURS.map((_,m)=>mid - amp*Math.cos(2*Math.PI*(m + 0.5 - 0.65)/12))
+}
+
+// Hourly spread (°F) putting 1% of annual hours below the design temperature
+const spreadFor = (means, design) => {
+  const below = (sd) => means.reduce((k,mu,m)=>k + HOURS[m]*cdf(design, mu, sd), 0)/8760
+  let lo = 1, hi = 40
+  for (let i=0;i<50;i++){
+    const mid = (lo + hi)/2
+    if (below(mid) < 0.01) lo = mid; else hi = mid
+  }
+  return (lo + hi)/2
+}
+
+// → { bins, monthlyHDD, coolBins, monthlyCDD }; bins are % of heating (or
+// cooling) degree-hours per 5°F bin
+export function climate(s, base=65){
+  const means = monthlyMeans(s)
+  const sd = spreadFor(means, s.design)
+
+  // Heating degree-hours per 5°F bin, centered on multiples of 5
+  const bins = []
+  for (let x=BIN_LO; x<=BIN_HI; x+=5){
+    const lo = x === BIN_LO ? -Infinity : x - 2.5
+    const dh = means.reduce((k,mu,m)=>k + HOURS[m]*(cdf(x + 2.5, mu, sd) - cdf(lo, mu, sd)), 0)*Math.max(0, base - x)
+    bins.push({ x, y: dh })
+  }
+  const total = bins.reduce((k,b)=>k + b.y, 0) || 1
+  const pct = bins.map(b=>({ x: b.x, y: +(b.y*100/total).toFixed(1) })).filter(b=>b.y > 0)
+
+  // E[max(0, base − T)] per month → monthly HDD shares scaled to annual HDD65.
+  // Degree-days use daily means, which vary less than hourly readings.
+  const sdDay = sd*0.6
+  const raw = means.map((mu,m)=>{ const z = (base - mu)/sdDay; return HOURS[m]/24*((base - mu)*cdf(base, mu, sdDay) + sdDay*pdf(z)) })
+  const rawSum = raw.reduce((a,b)=>a+b, 0) || 1
+  const monthlyHDD = raw.map(v=>Math.round(v*s.hdd65/rawSum))
+
+  // Cooling: degree-hours above the base per 5°F bin, and monthly CDD. Summer
+  // temperatures swing less than the winter-fitted spread, so it is narrowed.
+  const sdSummer = sd*0.6
+  const coolBins = []
+  for (let x=Math.ceil((base + 2.5)/5)*5; x<=110; x+=5){
+    const dh = means.reduce((k,mu,m)=>k + HOURS[m]*(cdf(x + 2.5, mu, sdSummer) - cdf(x - 2.5, mu, sdSummer)), 0)*(x - base)
+    coolBins.push({ x, y: dh })
+  }
+  const coolTotal = coolBins.reduce((k,b)=>k + b.y, 0) || 1
+  const coolPct = coolBins.map(b=>({ x: b.x, y: +(b.y*100/coolTotal).toFixed(1) })).filter(b=>b.y > 0)
+  const monthlyCDD = means.map((mu,m)=>{ const z = (mu - base)/sdDay; return Math.round(HOURS[m]/24*((mu - base)*cdf(mu, base, sdDay) + sdDay*pdf(z))) })
+
+  return { bins: pct, monthlyHDD, coolBins: coolPct, monthlyCDD }
+}
+
+// "°F:%" text, warmest first, matching the Weather Bins textarea
+export const binsText = (bins) => [...bins].sort((a,b)=>b.x-a.x).map(b=>`${b.x}:${b.y}`).join('\n')
+
+// Search by name, state/province, or ZIP/postal prefix
+export function searchStations(q, limit=12){
+  q = q.trim().toLowerCase()
+  if (!q) return []
+  const zip = q.replace(/\s/g, '')
+  return ALL_STATIONS.filter(s=>
+    s.label.toLowerCase().includes(q) ||
+    s.prefixes.some(p=>{ const pp = p.toLowerCase(); return zip.startsWith(pp) || pp.startsWith(zip) })
+  ).slice(0, limit)
+}
@@ -0,0 +1,113 @@
+// ---------- Defaults (Chicago / ComEd / Nicor) ----------
+export const D = {
+  kwhBase: 97300,
+  supplyC: 3.331,
+  txC: 1.767,
+  dfcNon: 6.062,
+  dfcEH:  2.924,
+  gasSupply: 0.52,
+  gasDist:   0.2134,
+  gasFixed:  0,
+  afue: 0.95,
+  heatMMBtu: 37.5,
+  seasonalCOP: 2.2,
+  copScale: 1,
+  balancePoint: 65,
+  designLoad: 36000,
+  designTemp: -4,
+  lockoutTemp: 30,
+  gross: 10354,
+  hpTons: 3,
+  incomePct: 120,
+  horizon: 20,
+  discountRate: 5,
+  elecEsc: 2.5,
+  gasEsc: 3,
+  equipLife: 15,
+  maintBase: 200,
+  maintHP: 150,
+  maintHybrid: 250,
+  replAvoided: 0,
+  gasCO2: 5.31,
+  methaneLeak: 0,
+  gridAvg: 0.49,
+  gridMarginal: 0.75,
+  pvKW: 0,
+  pvYield: 1200,
+  pvCost: 18000,
+  pvCredits: 5400,
+  pvExportRate: 4,
+  coolLoad: 0,
+  acSEER: 10,
+  hpSEER: 16,
+  hwGallons: 50,
+  gasWhUEF: 0.62,
+  hpwhUEF: 3.5,
+  hpwhCost: 4500,
+  hpwhCredits: 1350,
+  rangeTherms: 30,
+  rangeCost: 2200,
+  rangeCredits: 0,
+  dryerLoads: 280,
+  hpDryerKWh: 1.2,
+  dryerCost: 1500,
+  dryerCredits: 0
+}
+
+export const DEFAULT_COP = `60:3.77
+55:3.56
+50:3.39
+45:3.24
+40:3.12
+35:2.75
+30:2.62
+25:2.50
+20:2.37
+15:2.24
+10:2.11
+5:2.00
+0:1.87
+-5:1.74
+-10:1.65`
+
+// Rated heating capacity (°F:kBtu/h), ~2-ton cold-climate unit
+export const DEFAULT_CAP = `47:26
+17:20
+5:17
+-5:14
+-13:12`
+
+export const DEFAULT_BINS = `60:0
+55:2
+50:4
+45:6
+40:8
+35:11
+30:13
+25:14
+20:13
+15:10
+10:8
+5:6
+0:3
+-5:1.5
+-10:0.5`
+
+// Approximate Chicago HDD65 by month (Jan–Dec); spreads bin-model heating over the year
+export const MONTHLY_HDD = [1240, 1030, 850, 500, 230, 50, 10, 15, 120, 420, 760, 1130]
+export const MONTHLY_CDD = [0, 0, 0, 6, 72, 225, 336, 277, 111, 15, 1, 0]
+
+// Cooling degree-hour bins (°F:% of cooling), Chicago
+export const DEFAULT_COOL_BINS = `100:3
+95:6
+90:12
+85:19
+80:24
+75:23
+70:13`
+
+// Share of non-heating kWh by month (Jan–Dec), summer peak from central AC
+export const DEFAULT_BASE_PROFILE = '8.1,7.2,7.6,7.0,7.5,9.3,11.0,10.7,8.7,7.4,7.3,8.2'
+
+// Form state is kept as strings so inputs can hold partial values while typing
+export const defaultFields = () => Object.fromEntries(Object.entries(D).map(([k,v])=>[k,String(v)]))
@@ -0,0 +1,12 @@
+// ---------- Browser downloads ----------
+export const downloadText = (text, filename, type='text/plain') => {
+  const url = URL.createObjectURL(new Blob([text], { type }))
+  const a = document.createElement('a')
+  a.href = url
+  a.download = filename
+  a.click()
+  URL.revokeObjectURL(url)
+}
+
+export const downloadJSON = (obj, filename) =>
+  downloadText(JSON.stringify(obj, null, 2), filename, 'application/json')
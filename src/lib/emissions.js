@@ -0,0 +1,94 @@
+import { num } from './helpers.js'
+import { D } from './defaults.js'
+
+// ---------- Carbon emissions ----------
+//
+// Annual CO2e for each scenario from the engine's 12×24 usage grids:
+//   gas:  therms × (combustion factor + upstream methane leakage)
+//   grid: kWh × grid factor, either one annual figure (average or marginal) or
+//         a profile of 12 (Jan–Dec), 24 (hour 0–23) or 288 (month × hour)
+//         factors that replaces it
+// Factors are kg CO2e per therm and per kWh; results are metric tonnes.
+
+// ~100 ft³ of pipeline gas per therm at ~0.019 kg CH4/ft³
+export const KG_CH4_PER_THERM = 1.92
+// 100-year global warming potential of fossil methane (IPCC AR6)
+export const GWP_CH4 = 29.8
+
+export const GRID_BASES = [
+  ['average', 'Annual average'],
+  ['marginal', 'Marginal'],
+]
+
+export const parseFactors = (txt) => String(txt ?? '').split(/[\s,]+/).filter(Boolean).map(Number)
+
+// kg CO2e per therm burned, counting gas lost upstream (leak % of gas produced)
+export const gasFactor = (f={}) => {
+  const leak = Math.min(0.99, Math.max(0, num(f.methaneLeak, D.methaneLeak)/100))
+  return num(f.gasCO2, D.gasCO2) + KG_CH4_PER_THERM*leak/(1 - leak)*GWP_CH4
+}
+
+// 12×24 grid of kg CO2e/kWh
+export function gridFactors(f={}, basis='average', profile=''){
+  const v = parseFactors(profile)
+  if (v.length === 12) return v.map(x=>Array(24).fill(x))
+  if (v.length === 24) return Array.from({ length: 12 }, ()=>[...v])
+  if (v.length === 288) return Array.from({ length: 12 }, (_, m)=>v.slice(m*24, m*24 + 24))
+  const k = basis === 'marginal' ? num(f.gridMarginal, D.gridMarginal) : num(f.gridAvg, D.gridAvg)
+  return Array.from({ length: 12 }, ()=>Array(24).fill(k))
+}
+
+const dot = (g, w) => g.reduce((a,row,m)=>a + row.reduce((b,v,h)=>b + v*w[m][h], 0), 0)
+const total = (g) => g.reduce((a,row)=>a + row.reduce((b,v)=>b + v, 0), 0)
+const t2 = (kg) => +(kg/1000).toFixed(2)
+
+// Emissions for an engine result. Lifetime figures use the equipment life;
+// $/tonne is (net install cost − lifetime bill savings) / lifetime tonnes
+// avoided, so a negative figure means the switch saves money per tonne.
+// All-electric's install cost includes any switched gas appliances.
+export function emissions(calc, f={}, { basis='average', profile='' } = {}){
+  const gf = gasFactor(f)
+  const grid = gridFactors(f, basis, profile)
+  const life = Math.max(1, Math.round(num(f.equipLife, D.equipLife)))
+  const net = calc.netCost
+
+  const scenario = (u) => {
+    if (!u) return null
+    const elecKg = dot(u.kwh, grid), gasKg = total(u.therms)*gf
+    return { elec: t2(elecKg), gas: t2(gasKg), tonnes: t2(elecKg + gasKg) }
+  }
+  const baseline = scenario(calc.usage.baseline)
+  const allElectric = scenario(calc.usage.allElectric)
+  const hybrid = scenario(calc.usage.hybrid)
+
+  const compare = (s, savings, extra=0) => {
+    if (!s) return null
+    const avoided = +(baseline.tonnes - s.tonnes).toFixed(2)
+    const lifetime = +(avoided*life).toFixed(1)
+    return {
+      avoided,
+      lifetime,
+      costPerTonne: lifetime > 0 ? Math.round((net + extra - savings*life)/lifetime) : null,
+    }
+  }
+
+  const kwh = total(calc.usage.baseline.kwh)
+  return {
+    baseline,
+    allElectric,
+    hybrid,
+    vsBaseline: {
+      allElectric: compare(allElectric, calc.savingsAll, calc.appliances?.netCost || 0),
+      hybrid: compare(hybrid, calc.savingsHybrid),
+    },
+    life,
+    gasFactor: +gf.toFixed(2),
+    // kWh-weighted grid factor for the baseline load, for display
+    gridFactor: +(kwh ? dot(calc.usage.baseline.kwh, grid)/kwh : grid[0][0]).toFixed(3),
+    chart: [
+      { name: 'Baseline (Gas+AC)', elec: baseline.elec, gas: baseline.gas },
+      { name: 'All-Electric HP', elec: allElectric.elec, gas: allElectric.gas },
+      ...(hybrid ? [{ name: calc.chart[2].name, elec: hybrid.elec, gas: hybrid.gas }] : []),
+    ],
+  }
+}
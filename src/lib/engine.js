@@ -0,0 +1,568 @@
+import { num, pairs, interp, normBins } from './helpers.js'
+import { D, MONTHLY_HDD, MONTHLY_CDD } from './defaults.js'
+import { degreeHours } from './weather.js'
+import { grid, gridTotal, billMonths, avgRate, comedTariff, nicorTariff } from './tariffs.js'
+import { pvGrid, netMeter } from './solar.js'
+import { endUses } from './appliances.js'
+import { DEFAULT_INCENTIVES, stackIncentives } from './incentives.js'
+
+// ---------- Calculation engine ----------
+//
+// Pure cost model behind the calculator. No React, no DOM — safe to call from
+// scripts, batch jobs and tests.
+//
+// Input:
+//   {
+//     f:        { kwhBase, supplyC, txC, dfcNon, dfcEH, gasSupply, gasDist,
+//                 afue, heatMMBtu, seasonalCOP, copScale, balancePoint, designLoad,
+//                 designTemp, gross, hpTons, incomePct }
+//               numbers or numeric strings; anything non-numeric falls back to D.
+//               copScale multiplies every COP (table or seasonal).
+//     useTable: boolean — bin-by-bin COP table + hybrid switching (true) or a
+//               single seasonal COP (false)
+//     copText:  "°F:COP" pairs, one per line or comma-separated
+//     binsText: "°F:% of heating" pairs (normalized to 100%)
+//     hours:    optional 8760 weather ([{ month, day, hour, t }], see weather.js).
+//               When given with useTable, the heat load is spread by heating
+//               degree-hours below balancePoint instead of the bins.
+//     capText:  optional "°F:kBtu/h" rated capacity table. When given with
+//               useTable, the heat pump only carries the load it has capacity
+//               for; building heat loss runs linearly from 0 Btu/h at
+//               balancePoint to designLoad at designTemp.
+//     backup:   'electric' (resistance, COP 1) | 'gas' — serves the unmet load
+//               in the all-electric scenario. Hybrid always uses its furnace.
+//     elecTariff, gasTariff: optional tariffs (see tariffs.js). Default to the
+//               ComEd / Nicor presets built from the rate fields in f.
+//               Baseline bills on the standard class, all-electric and hybrid
+//               on electricHeat. Gas fixed charges apply to any scenario that
+//               still burns gas.
+//     equipment: optional name of the heat pump model the COP table came from
+//     monthlyHDD:  12 monthly HDD (Jan–Dec) for spreading bin/seasonal heating
+//                  over the year; defaults to MONTHLY_HDD (Chicago)
+//     baseProfile: 12 monthly weights for non-heating kWh; defaults to flat
+//     location:    optional { id, name, source } of the climate station the
+//                  bins and monthlyHDD came from
+//     hybridMode:  'ideal' (cheapest fuel per bin/hour, default) | 'lockout'
+//                  (heat pump at or above f.lockoutTemp) | 'optimal' (the
+//                  cheapest single lockout setpoint)
+//     pvPolicy:    'retail' | 'supply' | 'export' net-metering policy (see solar.js)
+//     pvProfile:   optional 12 monthly kWh per kW of PV, replacing f.pvYield
+//     coolText:    optional heat pump cooling table, °F:EER; with coolBinsText
+//                  (°F:% of cooling) it replaces f.hpSEER
+//     monthlyCDD:  12 monthly cooling degree-days for spreading cooling kWh
+//     appliances:  optional { water, range, dryer } states, 'none' | 'gas' |
+//                  'switch' (see appliances.js). Gas appliances burn gas in the
+//                  baseline and hybrid; 'switch' ones are electric in all-electric.
+//     incentives:  incentive list (see incentives.js) stacked against f.gross for
+//                  a f.hpTons heat pump and f.incomePct household; defaults to
+//                  DEFAULT_INCENTIVES
+//   }
+//
+// Units: kWh/yr, ¢/kWh for electric rates, $/therm for gas, MMBtu/yr for the
+// delivered heat load, $ for project costs.
+//
+// Output (dollars rounded to whole $, paybacks to 0.1 yr):
+//   baseline, allElectric, hybrid          annual cost ($/yr); hybrid is null without a COP table
+//   savingsAll, savingsHybrid              baseline minus scenario ($/yr)
+//   paybackAll, paybackHybrid              simple payback (yrs) on netCost, null if savings <= 0
+//   incentives, netCost                    itemized stack { items, total, net } and gross − total ($)
+//   dfcSavings                             savings on base kWh from moving to the electric-heat rate class
+//   gasHeatCost, hpHeatCost, fuelSwitch    heating-only cost comparison
+//   crossoverTemp, crossoverNote           °F where HP $/MMBtu = gas $/MMBtu, or why there is none
+//   chart                                  [{ name, cost }] for the cost-comparison bar chart
+//   mode                                   'bins' | 'hourly' | 'seasonal'
+//   hpBalancePoint, hpBalanceNote          °F where HP capacity = heat loss, or why there is none
+//   unmetMMBtu, backupKWh, backupTherms    load beyond HP capacity and the backup energy serving it
+//   costs                                  { baseline, allElectric, hybrid } each { elec, gas } ($/yr);
+//                                          hybrid is null without a COP table
+//   degreeHours                            heating °F·h (hourly mode only, else null)
+//   equipment                              model name passed in, or null
+//   location                               climate station passed in, or null
+//   bins                                   per-bin audit rows (table mode only, else null):
+//                                          [{ t, mmbtu, pct, cop, capacityShare, hpKWh,
+//                                             unmetMMBtu, hpCostPerMMBtu, gasCostPerMMBtu,
+//                                             fuel: 'heat pump'|'gas'|'mixed', hybridKWh,
+//                                             hybridTherms }]; hourly runs group into 1°F bins
+//   lockout                                table mode only, else null: { mode, setpoint (°F, null
+//                                          for ideal), ideal (ideal-switching cost), lost (hybrid
+//                                          minus ideal), best { t, cost }, curve [{ t, cost }] };
+//                                          best and curve are null in ideal mode
+//   pv                                     null unless f.pvKW > 0, else { policy, produced, selfUsed,
+//                                          exported, imported (kWh), offsetPct (of all-electric kWh),
+//                                          exportCredit ($, null under retail), forfeitedKWh,
+//                                          allElectricPV ($/yr), savings (vs baseline), pvSavings
+//                                          (vs all-electric), netCost (PV cost − credits), payback
+//                                          (HP + PV + switched appliances, as paybackAll), pvPayback
+//                                          (PV alone), monthly (12 rows as below) }
+//   cooling                                null unless f.coolLoad > 0, else { acKWh, hpKWh (cooling
+//                                          kWh/yr), savingsAll, savingsHybrid (cooling $/yr),
+//                                          heatingSavingsAll, heatingSavingsHybrid (the rest) }
+//   appliances                             null unless an end use is modeled, else { uses [{ id, name,
+//                                          electric, state, therms, kwh, gasSaved, elecAdded,
+//                                          savings ($/yr), netCost, payback }] (only switched ones
+//                                          are priced), gasService (gas fixed charges all-electric
+//                                          no longer pays, $/yr), netCost (switched end uses) }
+//   monthly                                { baseline, allElectric, hybrid } each 12 ×
+//                                          { month, kwh, therms, elec, gas } (hybrid null without a COP table)
+//   usage                                  { baseline, allElectric, hybrid } each { kwh, therms } as
+//                                          unrounded 12×24 (month × hour) grids; hybrid null without a COP table
+
+export const KWH_PER_MMBTU = 293.071
+export const MMBTU_PER_THERM = 0.1
+
+// Coerce every field with num(), falling back to the matching default
+export const resolveInputs = (f={}) =>
+  Object.fromEntries(Object.keys(D).map(k=>[k, num(f[k], D[k])]))
+
+export const MONTHS = ['Jan','Feb','Mar','Apr','May','Jun','Jul','Aug','Sep','Oct','Nov','Dec']
+
+// Normalize 12 monthly weights to shares; flat if unusable
+export const shares = (w) => {
+  const v = Array.isArray(w) && w.length === 12 ? w.map(x=>Math.max(0, num(x))) : Array(12).fill(1)
+  const s = v.reduce((a,b)=>a+b, 0)
+  return s > 0 ? v.map(x=>x/s) : Array(12).fill(1/12)
+}
+
+// Spread an amount over the 12×24 usage grid: at the slice's own month/hour
+// when it has one (hourly mode), else by monthly share, flat over the day
+export const spread = (g, amount, slice={}, share=shares(MONTHLY_HDD)) => {
+  if (slice.month){ g[slice.month-1][slice.hour] += amount; return g }
+  for (let m=0;m<12;m++) for (let h=0;h<24;h++) g[m][h] += amount*share[m]/24
+  return g
+}
+// 12 rows of energy and cost for one scenario
+const months = (kwhGrid, thermGrid, elec, gas) => MONTHS.map((month, m)=>({
+  month,
+  kwh: Math.round(kwhGrid[m].reduce((a,b)=>a+b, 0)),
+  therms: Math.round(thermGrid[m].reduce((a,b)=>a+b, 0)),
+  elec: Math.round(elec[m]),
+  gas: Math.round(gas[m]),
+}))
+
+const addGrids = (...gs) => gs.reduce((acc,g)=>acc.map((row,m)=>row.map((v,h)=>v + g[m][h])))
+
+// Temperature where HP $/MMBtu equals gas $/MMBtu, scanned in 1°F steps
+export const crossover = (table, allInEH, costGasPerMMBtu) => {
+  if (table.length < 2) return { crossoverTemp: null, crossoverNote: "" }
+  const hpCost = (t) => (KWH_PER_MMBTU / interp(table, t)) * allInEH
+  const tMin = Math.min(-20, table[0].x)
+  const tMax = Math.max(65, table[table.length-1].x)
+  let prevT = tMin
+  let prevDiff = hpCost(prevT) - costGasPerMMBtu
+  for (let t=tMin+1; t<=tMax; t++){
+    const diff = hpCost(t) - costGasPerMMBtu
+    if ((prevDiff <= 0 && diff >= 0) || (prevDiff >= 0 && diff <= 0)) {
+      const frac = Math.abs(diff - prevDiff) < 1e-9 ? 0 : (0 - prevDiff) / (diff - prevDiff)
+      return { crossoverTemp: +(prevT + frac * (t - prevT)).toFixed(1), crossoverNote: "" }
+    }
+    prevT = t
+    prevDiff = diff
+  }
+  const dMin = hpCost(tMin) - costGasPerMMBtu
+  const dMax = hpCost(tMax) - costGasPerMMBtu
+  let crossoverNote
+  if (dMin < 0 && dMax < 0)      crossoverNote = "HP cheaper at all temperatures in range"
+  else if (dMin > 0 && dMax > 0) crossoverNote = "Gas cheaper at all temperatures in range"
+  else                            crossoverNote = "Crossover outside modeled temperature range"
+  return { crossoverTemp: null, crossoverNote }
+}
+
+// Annual heat load split over temperature slices: [{ t, mmbtu }]
+export const binLoads = (bins, heatMMBtu) =>
+  bins.map(b=>({ t: b.x, mmbtu: heatMMBtu*(b.y/100) }))
+
+export const hourlyLoads = (hours, heatMMBtu, balance) => {
+  const dh = degreeHours(hours, balance) || 1
+  return hours.filter(h=>h.t < balance)
+    .map(h=>({ ...h, mmbtu: heatMMBtu*(balance - h.t)/dh }))
+}
+
+// Building heat loss (Btu/h): 0 at the balance point, designLoad at designTemp
+export const heatLoss = (t, p) =>
+  Math.max(0, p.designLoad*(p.balancePoint - t)/((p.balancePoint - p.designTemp) || 1))
+
+// Share of the load at t the heat pump can carry (capacity table in kBtu/h)
+export const hpShare = (capTable, t, p) => {
+  const load = heatLoss(t, p)
+  return load > 0 ? Math.min(1, interp(capTable, t)*1000/load) : 1
+}
+
+// Temperature where HP capacity equals building heat loss, scanned in 1°F steps
+export const hpBalance = (capTable, p) => {
+  const gap = (t) => interp(capTable, t)*1000 - heatLoss(t, p)
+  const tMin = Math.min(-30, p.designTemp)
+  let prevT = tMin, prevGap = gap(tMin)
+  if (prevGap >= 0) return { hpBalancePoint: null, hpBalanceNote: "HP covers the full load at all temperatures" }
+  for (let t=tMin+1; t<=p.balancePoint; t++){
+    const g = gap(t)
+    if (g >= 0){
+      const frac = (0 - prevGap) / (g - prevGap)
+      return { hpBalancePoint: +(prevT + frac * (t - prevT)).toFixed(1), hpBalanceNote: "" }
+    }
+    prevT = t
+    prevGap = g
+  }
+  return { hpBalancePoint: null, hpBalanceNote: "HP undersized at all temperatures in range" }
+}
+
+export function calculate({ f={}, useTable=true, copText='', binsText='', hours=null, capText=null, backup='electric', elecTariff=null, gasTariff=null, equipment=null, monthlyHDD=MONTHLY_HDD, baseProfile=null, location=null, hybridMode='ideal', pvPolicy='retail', pvProfile=null, coolText='', coolBinsText='', monthlyCDD=MONTHLY_CDD, appliances={}, incentives=DEFAULT_INCENTIVES } = {}){
+  const p = resolveInputs(f)
+  const { kwhBase, afue, heatMMBtu, seasonalCOP, copScale, balancePoint, gross } = p
+  const stack = stackIncentives(incentives, { cost: gross, tons: p.hpTons, income: p.incomePct })
+  const credits = stack.total
+  const elecT = elecTariff || comedTariff(p)
+  const gasT  = gasTariff || nicorTariff(p)
+  const thermsPerMMBtu = 1/MMBTU_PER_THERM/afue
+  // Gas service (and its fixed charges) only for scenarios that still burn gas
+  const gasMonths = (g) => gridTotal(g) > 0 ? billMonths(gasT, g) : Array(12).fill(0)
+  const elecMonths = (g, cls) => billMonths(elecT, g, cls)
+  const sum = (a) => a.reduce((x,y)=>x+y, 0)
+  const heatShare = shares(monthlyHDD)
+  const spreadHeat = (g, amount, slice) => spread(g, amount, slice, heatShare)
+
+  const baseKWh = spread(grid(), kwhBase, {}, shares(baseProfile))
+
+  // Cooling: the old AC's kWh sit inside kwhBase. Heat pump scenarios swap
+  // them for the heat pump's cooling kWh, spread by monthly CDD. checkCooling
+  // (validate.js) rejects an AC that uses more than a month's kwhBase.
+  const coolBtu = p.coolLoad*1e6
+  const acKWh = coolBtu/(p.acSEER*1000)
+  const eerTable = pairs(coolText), coolBins = normBins(pairs(coolBinsText))
+  const hpCoolKWh = eerTable.length && coolBins.length
+    ? coolBins.reduce((k,b)=>k + coolBtu*b.y/100/(interp(eerTable, b.x)*1000), 0)
+    : coolBtu/(p.hpSEER*1000)
+  const coolDelta = spread(grid(), hpCoolKWh - acKWh, {}, shares(monthlyCDD))
+  const hpBaseKWh = coolBtu > 0 ? baseKWh.map((row,m)=>row.map((v,h)=>v + coolDelta[m][h])) : baseKWh
+  const hpGrid = grid(), backupGrid = grid()
+
+  // Other gas end uses: on gas in the baseline and hybrid; all-electric keeps
+  // the 'gas' ones and runs the switched ones on electricity
+  const uses = endUses(p, appliances)
+  const flat = Array(12).fill(1/12)
+  const appGas = grid(), aeAppGas = grid(), aeAppKWh = grid()
+  for (const u of uses){
+    spread(appGas, u.therms, {}, flat)
+    if (u.state === 'switch') spread(aeAppKWh, u.kwh, {}, flat)
+    else spread(aeAppGas, u.therms, {}, flat)
+  }
+  const appTherms = gridTotal(appGas)
+  const copyGrid = (g) => g.map(r=>[...r])
+
+  // Baseline
+  const baselineGasGrid = copyGrid(appGas)
+  const baselineElecM = elecMonths(baseKWh, 'standard')
+  const baselineElec = sum(baselineElecM)
+
+  // All-electric
+  let hpKWh = 0
+  let hybrid = null, hy = null, lockout = null
+
+  let crossoverTemp = null
+  let crossoverNote = ""
+  let mode = 'seasonal', dh = null
+  let unmet = 0, hpBalancePoint = null, hpBalanceNote = ""
+  let bins = null
+
+  if (useTable){
+    const table = pairs(copText).map(r=>({ x: r.x, y: r.y*copScale }))
+    const hourly = !!hours?.length
+    const loads = hourly
+      ? hourlyLoads(hours, heatMMBtu, balancePoint)
+      : binLoads(normBins(pairs(binsText)), heatMMBtu)
+    mode = hourly ? 'hourly' : 'bins'
+    if (hourly) dh = degreeHours(hours, balancePoint)
+    const capTable = capText ? pairs(capText) : []
+    const share = (t) => capTable.length ? hpShare(capTable, t, p) : 1
+    if (capTable.length) ({ hpBalancePoint, hpBalanceNote } = hpBalance(capTable, p))
+    // Per-bin audit rows; hourly slices are grouped into 1°F bins
+    const keyOf = (t) => hourly ? Math.round(t) : t
+    const detail = new Map()
+    for (const slice of loads){
+      const { t, mmbtu } = slice
+      const cop = interp(table, t)
+      const s = share(t)
+      const kwh = (mmbtu*s*KWH_PER_MMBTU)/cop
+      hpKWh += kwh
+      unmet += mmbtu*(1-s)
+      spreadHeat(hpGrid, kwh, slice)
+      spreadHeat(backupGrid, mmbtu*(1-s), slice)
+      spreadHeat(baselineGasGrid, mmbtu*thermsPerMMBtu, slice)
+      const key = keyOf(t)
+      const d = detail.get(key) || { t: key, mmbtu: 0, aeKWh: 0, unmet: 0 }
+      detail.set(key, d)
+      d.mmbtu += mmbtu
+      d.aeKWh += kwh
+      d.unmet += mmbtu*(1-s)
+    }
+    // Hybrid prices each fuel at its average energy rate for the
+    // all-electric / baseline usage
+    const allInEH = avgRate(elecT, addGrids(hpBaseKWh, hpGrid), 'electricHeat')
+    const costGasPerMMBtu = thermsPerMMBtu*avgRate(gasT, baselineGasGrid)
+    const hpCost = (t) => KWH_PER_MMBTU/interp(table, t)*allInEH
+
+    // One hybrid run: `useHP(t)` says whether the heat pump carries the slice.
+    // Furnace picks up whatever the heat pump lacks capacity for.
+    const runHybrid = (useHP) => {
+      const hpG = grid(), gasG = copyGrid(appGas), rows = new Map()
+      for (const slice of loads){
+        const { t, mmbtu } = slice
+        const on = useHP(t)
+        const s = on ? share(t) : 0
+        const kwh = mmbtu*s*KWH_PER_MMBTU/interp(table, t)
+        const therms = mmbtu*(1-s)*thermsPerMMBtu
+        spreadHeat(hpG, kwh, slice)
+        spreadHeat(gasG, therms, slice)
+        const key = keyOf(t)
+        const d = rows.get(key) || { kwh: 0, therms: 0, hp: 0, gas: 0 }
+        rows.set(key, d)
+        d.kwh += kwh
+        d.therms += therms
+        if (on) d.hp++
+        else d.gas++
+      }
+      const elecGrid = addGrids(hpBaseKWh, hpG)
+      const elecM = elecMonths(elecGrid, 'electricHeat'), gasM = gasMonths(gasG)
+      return { hpGrid: hpG, elecGrid, gasGrid: gasG, elecM, gasM, elec: sum(elecM), gas: sum(gasM), rows }
+    }
+
+    // Hybrid cost at every thermostat lockout setpoint (heat pump at or above
+    // it). Slices move from furnace to heat pump from the warmest down, so each
+    // is spread once and only the bills are recomputed per setpoint.
+    const lockoutCurve = () => {
+      const ts = loads.map(l=>l.t)
+      const lo = Math.min(...ts), hi = Math.max(...ts)
+      const setpoints = hourly
+        ? Array.from({ length: Math.ceil(hi) - Math.floor(lo) + 2 }, (_, i)=>Math.ceil(hi) + 1 - i)
+        : [hi + 1, ...[...new Set(ts)].sort((a,b)=>b - a)]
+      const order = [...loads].sort((a,b)=>b.t - a.t)
+      const hpG = grid(), gasG = copyGrid(appGas)
+      let gasLeft = appTherms*MMBTU_PER_THERM, i = 0
+      for (const slice of loads){ spreadHeat(gasG, slice.mmbtu*thermsPerMMBtu, slice); gasLeft += slice.mmbtu }
+      return setpoints.map(T=>{
+        for (; i < order.length && order[i].t >= T; i++){
+          const slice = order[i], s = share(slice.t)
+          spreadHeat(hpG, slice.mmbtu*s*KWH_PER_MMBTU/interp(table, slice.t), slice)
+          spreadHeat(gasG, -slice.mmbtu*s*thermsPerMMBtu, slice)
+          gasLeft -= slice.mmbtu*s
+        }
+        const cost = sum(elecMonths(addGrids(hpBaseKWh, hpG), 'electricHeat')) + (gasLeft > 1e-9 ? sum(gasMonths(gasG)) : 0)
+        return { t: T, cost: Math.round(cost) }
+      }).reverse()
+    }
+
+    const ideal = runHybrid(t=>hpCost(t) <= costGasPerMMBtu)
+    // The setpoint search only runs when a lockout mode asks for it
+    const curve = hybridMode === 'ideal' ? null : lockoutCurve()
+    const best = curve && curve.reduce((a,b)=>b.cost < a.cost ? b : a)
+    const setpoint = hybridMode === 'lockout' ? p.lockoutTemp : hybridMode === 'optimal' ? best.t : null
+    hy = setpoint == null ? ideal : runHybrid(t=>t >= setpoint)
+    hybrid = hy.elec + hy.gas
+    lockout = {
+      mode: hybridMode,
+      setpoint,
+      ideal: Math.round(ideal.elec + ideal.gas),
+      lost: Math.round(hybrid - ideal.elec - ideal.gas),
+      best,
+      curve,
+    }
+
+    const r = (v, k=2) => +v.toFixed(k)
+    bins = [...detail.values()].sort((a,b)=>a.t - b.t).map(d=>{
+      const cop = interp(table, d.t)
+      const h = hy.rows.get(d.t)
+      return {
+        t: d.t,
+        mmbtu: r(d.mmbtu, 3),
+        pct: r(heatMMBtu ? d.mmbtu*100/heatMMBtu : 0),
+        cop: r(cop),
+        capacityShare: r(share(d.t), 3),
+        hpKWh: Math.round(d.aeKWh),
+        unmetMMBtu: r(d.unmet, 3),
+        hpCostPerMMBtu: r(KWH_PER_MMBTU/cop*allInEH),
+        gasCostPerMMBtu: r(costGasPerMMBtu),
+        fuel: h.gas === 0 ? 'heat pump' : h.hp === 0 ? 'gas' : 'mixed',
+        hybridKWh: Math.round(h.kwh),
+        hybridTherms: r(h.therms, 1),
+      }
+    })
+
+    ;({ crossoverTemp, crossoverNote } = crossover(table, allInEH, costGasPerMMBtu))
+  } else {
+    hpKWh = (heatMMBtu*KWH_PER_MMBTU)/(seasonalCOP*copScale)
+    spreadHeat(hpGrid, hpKWh)
+    spreadHeat(baselineGasGrid, heatMMBtu*thermsPerMMBtu)
+    crossoverNote = "Provide a COP table to compute a precise crossover temperature"
+  }
+
+  const baselineGasM = gasMonths(baselineGasGrid)
+  const baselineGas = sum(baselineGasM)
+  const baseline = baselineElec + baselineGas
+
+  const backupKWh = backup === 'gas' ? 0 : unmet*KWH_PER_MMBTU
+  const backupTherms = backup === 'gas' ? unmet*thermsPerMMBtu : 0
+  const aeGasGrid = addGrids(aeAppGas, backup === 'gas' ? backupGrid.map(r=>r.map(v=>v*thermsPerMMBtu)) : grid())
+  const aeKWhGrid = backup === 'gas' ? hpGrid : addGrids(hpGrid, backupGrid.map(r=>r.map(v=>v*KWH_PER_MMBTU)))
+  const aeElecGrid = addGrids(hpBaseKWh, aeKWhGrid, aeAppKWh)
+  const allElectricElecM = elecMonths(aeElecGrid, 'electricHeat')
+  const allElectricGasM = gasMonths(aeGasGrid)
+  const allElectricElec = sum(allElectricElecM)
+  const allElectricGas = sum(allElectricGasM)
+  const allElectric = allElectricElec + allElectricGas
+
+  // Switched appliances are paid for wherever their savings are counted
+  const switched = uses.filter(u=>u.state === 'switch')
+  const appNet = sum(switched.map(u=>u.cost - u.credits))
+
+  // All-electric + rooftop PV (when a system size is entered)
+  let pv = null
+  if (p.pvKW > 0){
+    const pvG = pvGrid(p.pvKW, p.pvYield, pvProfile)
+    const nm = netMeter({ tariff: elecT, usage: aeElecGrid, pv: pvG, cls: 'electricHeat', policy: pvPolicy, exportRate: p.pvExportRate })
+    const elec = sum(nm.elecM)
+    const cost = elec + allElectricGas
+    const produced = gridTotal(pvG)
+    const pvNet = p.pvCost - p.pvCredits
+    const savings = baseline - cost
+    const pvSavings = allElectric - cost
+    pv = {
+      policy: pvPolicy,
+      produced: Math.round(produced),
+      selfUsed: Math.round(produced - nm.exported),
+      exported: Math.round(nm.exported),
+      imported: Math.round(nm.imported),
+      offsetPct: +(produced*100/(gridTotal(aeElecGrid) || 1)).toFixed(1),
+      exportCredit: nm.credit != null ? Math.round(nm.credit) : null,
+      forfeitedKWh: Math.round(nm.forfeited),
+      allElectricPV: Math.round(cost),
+      savings: Math.round(savings),
+      pvSavings: Math.round(pvSavings),
+      netCost: Math.round(pvNet),
+      payback: savings > 0 ? +((gross - credits + appNet + pvNet)/savings).toFixed(1) : null,
+      pvPayback: pvSavings > 0 ? +(pvNet/pvSavings).toFixed(1) : null,
+      monthly: months(aeElecGrid.map((row, m)=>row.map((q, h)=>q - pvG[m][h])), aeGasGrid, nm.elecM, allElectricGasM),
+    }
+  }
+
+  let hybridElec = 0, hybridGasCost = 0, hybridMonthly = null, hybridUsage = null
+  if (hy){
+    hybridElec = hy.elec
+    hybridGasCost = hy.gas
+    hybridMonthly = months(hy.elecGrid, hy.gasGrid, hy.elecM, hy.gasM)
+    hybridUsage = { kwh: hy.elecGrid, therms: hy.gasGrid }
+  }
+
+  const savingsAll = baseline - allElectric
+  const savingsHybrid = hybrid!=null ? baseline - hybrid : null
+  const net = gross - credits
+  const paybackAll = savingsAll>0 ? (net + appNet)/savingsAll : null
+  const paybackHybrid = (savingsHybrid && savingsHybrid>0) ? net/savingsHybrid : null
+  const baseEH = sum(elecMonths(baseKWh, 'electricHeat'))
+  const dfcSavings = baselineElec - baseEH
+
+  // Cooling savings: the same scenario billed with the old AC's kWh left in
+  const coolSavings = (heatGrid, elec) => coolBtu > 0 ? sum(elecMonths(addGrids(baseKWh, heatGrid), 'electricHeat')) - elec : 0
+  const coolAll = coolSavings(addGrids(aeKWhGrid, aeAppKWh), allElectricElec)
+  const coolHybrid = hy ? coolSavings(hy.hpGrid, hy.elec) : null
+  const cooling = coolBtu > 0 ? {
+    acKWh: Math.round(acKWh),
+    hpKWh: Math.round(hpCoolKWh),
+    savingsAll: Math.round(coolAll),
+    savingsHybrid: coolHybrid != null ? Math.round(coolHybrid) : null,
+    heatingSavingsAll: Math.round(savingsAll - coolAll),
+    heatingSavingsHybrid: savingsHybrid != null ? Math.round(savingsHybrid - coolHybrid) : null,
+  } : null
+
+  // Each switched end use: gas it no longer buys (baseline bill without its
+  // therms) less the kWh it adds (all-electric bill without them)
+  const minus = (g, amount) => g.map(r=>r.map(v=>v - amount/288))
+  const appRows = uses.map(u=>{
+    if (u.state !== 'switch') return { ...u, gasSaved: null, elecAdded: null, savings: null, netCost: null, payback: null }
+    const gasSaved = baselineGas - sum(gasMonths(minus(baselineGasGrid, u.therms)))
+    const elecAdded = allElectricElec - sum(elecMonths(minus(aeElecGrid, u.kwh), 'electricHeat'))
+    const savings = gasSaved - elecAdded
+    return {
+      ...u,
+      therms: Math.round(u.therms),
+      kwh: Math.round(u.kwh),
+      gasSaved: Math.round(gasSaved),
+      elecAdded: Math.round(elecAdded),
+      savings: Math.round(savings),
+      netCost: Math.round(u.cost - u.credits),
+      payback: savings > 0 ? +((u.cost - u.credits)/savings).toFixed(1) : null,
+    }
+  })
+  const appliancesOut = uses.length ? {
+    uses: appRows.map(u=>u.state === 'switch' ? u : { ...u, therms: Math.round(u.therms), kwh: Math.round(u.kwh) }),
+    gasService: gridTotal(aeGasGrid) > 0 ? 0 : Math.round(sum(billMonths(gasT, grid()))),
+    netCost: Math.round(appNet),
+  } : null
+
+  // Heating-only costs leave out the other end uses on either side
+  const gasHeatCost = baselineGas - sum(gasMonths(appGas))
+  const hpHeatCost  = allElectricElec + coolAll - sum(elecMonths(addGrids(baseKWh, aeAppKWh), 'electricHeat'))
+    + allElectricGas - sum(gasMonths(aeAppGas))
+  const fuelSwitch  = gasHeatCost - hpHeatCost
+
+  // Electric vs gas share of each scenario (escalated separately in lifecycle.js)
+  const split = (elec, gas) => ({ elec: Math.round(elec), gas: Math.round(gas) })
+  const costs = {
+    baseline: split(baselineElec, baselineGas),
+    allElectric: split(allElectricElec, allElectricGas),
+    hybrid: hybrid!=null ? split(hybridElec, hybridGasCost) : null,
+  }
+
+  const monthly = {
+    baseline: months(baseKWh, baselineGasGrid, baselineElecM, baselineGasM),
+    allElectric: months(aeElecGrid, aeGasGrid, allElectricElecM, allElectricGasM),
+    hybrid: hybridMonthly,
+  }
+
+  const usage = {
+    baseline: { kwh: baseKWh, therms: baselineGasGrid },
+    allElectric: { kwh: aeElecGrid, therms: aeGasGrid },
+    hybrid: hybridUsage,
+  }
+
+  const chart = [
+    { name:'Baseline (Gas+AC)', cost: Math.round(baseline) },
+    { name:'All-Electric HP',   cost: Math.round(allElectric) },
+    ...(hybrid!=null ? [{ name: lockout.setpoint == null ? 'Hybrid (cheapest)' : `Hybrid (lockout ${lockout.setpoint}°F)`, cost: Math.round(hybrid)}] : []),
+    ...(pv ? [{ name: 'All-Electric + PV', cost: pv.allElectricPV }] : []),
+  ]
+
+  return {
+    baseline: Math.round(baseline),
+    allElectric: Math.round(allElectric),
+    hybrid: hybrid!=null ? Math.round(hybrid) : null,
+    savingsAll: Math.round(savingsAll),
+    savingsHybrid: savingsHybrid!=null ? Math.round(savingsHybrid) : null,
+    paybackAll: paybackAll ? +paybackAll.toFixed(1) : null,
+    paybackHybrid: paybackHybrid ? +paybackHybrid.toFixed(1) : null,
+    dfcSavings: Math.round(dfcSavings),
+    gasHeatCost: Math.round(gasHeatCost),
+    hpHeatCost: Math.round(hpHeatCost),
+    fuelSwitch: Math.round(fuelSwitch),
+    crossoverTemp,
+    crossoverNote,
+    chart,
+    costs,
+    mode,
+    hpBalancePoint,
+    hpBalanceNote,
+    unmetMMBtu: +unmet.toFixed(2),
+    backupKWh: Math.round(backupKWh),
+    backupTherms: Math.round(backupTherms),
+    degreeHours: dh != null ? Math.round(dh) : null,
+    equipment: useTable ? equipment : null,
+    location,
+    monthly,
+    usage,
+    bins,
+    lockout,
+    pv,
+    cooling,
+    appliances: appliancesOut,
+    incentives: stack,
+    netCost: stack.net
+  }
+}
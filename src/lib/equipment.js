@@ -0,0 +1,87 @@
+// ---------- Heat pump equipment library ----------
+//
+// Models follow the NEEP cold-climate ASHP listing: COP and maximum heating
+// capacity (kBtu/h) at 47/17/5°F, optionally -5°F.
+//   { id, name, manufacturer, nominalTons, ratings: [{ t, cop, capacity }] }
+//
+// The bundled entries are representative of each equipment class, not
+// certified ratings for a specific AHRI match — check the NEEP listing for the
+// exact indoor/outdoor combination being quoted.
+
+export const CATALOG = [
+  { id: 'cc-ducted-2t', name: 'Cold-climate ducted, 2 ton', manufacturer: 'Representative', nominalTons: 2,
+    ratings: [{ t:47, cop:3.90, capacity:26 }, { t:17, cop:2.60, capacity:22 }, { t:5, cop:2.05, capacity:19 }, { t:-5, cop:1.75, capacity:16 }] },
+  { id: 'cc-ducted-3t', name: 'Cold-climate ducted, 3 ton', manufacturer: 'Representative', nominalTons: 3,
+    ratings: [{ t:47, cop:3.80, capacity:38 }, { t:17, cop:2.55, capacity:33 }, { t:5, cop:2.00, capacity:28 }, { t:-5, cop:1.70, capacity:24 }] },
+  { id: 'cc-ducted-4t', name: 'Cold-climate ducted, 4 ton', manufacturer: 'Representative', nominalTons: 4,
+    ratings: [{ t:47, cop:3.70, capacity:50 }, { t:17, cop:2.50, capacity:44 }, { t:5, cop:1.95, capacity:37 }, { t:-5, cop:1.65, capacity:31 }] },
+  { id: 'cc-ductless-1.5t', name: 'Cold-climate ductless mini-split, 1.5 ton', manufacturer: 'Representative', nominalTons: 1.5,
+    ratings: [{ t:47, cop:4.40, capacity:22 }, { t:17, cop:2.90, capacity:20 }, { t:5, cop:2.30, capacity:18 }, { t:-5, cop:1.90, capacity:15 }] },
+  { id: 'std-ducted-3t', name: 'Standard (non-cold-climate) ducted, 3 ton', manufacturer: 'Representative', nominalTons: 3,
+    ratings: [{ t:47, cop:3.60, capacity:36 }, { t:17, cop:2.30, capacity:22 }, { t:5, cop:1.70, capacity:16 }] },
+]
+
+const KEY = 'heatpump-calculator:equipment'
+
+const sorted = (m) => [...m.ratings].sort((a,b)=>b.t-a.t)
+
+// "°F:value" text in the same layout as the COP and capacity textareas
+export const copText = (m) => sorted(m).map(r=>`${r.t}:${r.cop}`).join('\n')
+export const capText = (m) => sorted(m).map(r=>`${r.t}:${r.capacity}`).join('\n')
+
+export function validateModel(m, where='model'){
+  if (!m || typeof m.name !== 'string' || !m.name.trim()) throw new Error(`${where}: name is required`)
+  if (!Array.isArray(m.ratings) || m.ratings.length < 2) throw new Error(`${m.name}: needs ratings at 2+ temperatures`)
+  for (const r of m.ratings){
+    if (![r.t, r.cop, r.capacity].every(Number.isFinite)) throw new Error(`${m.name}: each rating needs numeric t, cop, capacity`)
+    if (r.cop <= 0 || r.capacity <= 0) throw new Error(`${m.name}: COP and capacity must be positive`)
+  }
+  return {
+    id: m.id || `custom-${m.name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`,
+    name: m.name.trim(),
+    manufacturer: m.manufacturer || 'Custom',
+    nominalTons: Number.isFinite(+m.nominalTons) ? +m.nominalTons : null,
+    ratings: m.ratings.map(({ t, cop, capacity })=>({ t, cop, capacity })),
+  }
+}
+
+// Accepts a single model, an array, or { models: [...] }
+export function parseCatalog(text){
+  const j = JSON.parse(text)
+  const list = Array.isArray(j) ? j : Array.isArray(j?.models) ? j.models : [j]
+  return list.map((m,i)=>validateModel(m, `models[${i}]`))
+}
+
+export const exportCatalog = (models) => ({ format: 'heatpump-calculator/equipment', version: 1, models })
+
+const bundled = (m) => CATALOG.some(c=>c.id === m.id)
+
+// Copies of bundled models (from an older full-library export) are dropped
+export const loadCustomModels = () => {
+  try {
+    const list = JSON.parse(localStorage.getItem(KEY) || '[]')
+    return Array.isArray(list) ? list.filter(m=>!bundled(m)) : []
+  } catch {
+    return []
+  }
+}
+
+// Full quota or disabled (private-mode) storage throws; the caller shows it
+const store = (list) => {
+  try {
+    localStorage.setItem(KEY, JSON.stringify(list))
+  } catch (e){
+    throw new Error(`Couldn't save to browser storage (${e.name === 'QuotaExceededError' ? 'storage is full; delete some custom models' : 'storage is unavailable, e.g. in a private window'}).`)
+  }
+  return list
+}
+
+// Custom models replace any existing model with the same id; bundled ids are
+// skipped, since the library already has them
+export const saveCustomModels = (models) => {
+  const byId = new Map(loadCustomModels().map(m=>[m.id, m]))
+  for (const m of models) if (!bundled(m)) byId.set(m.id, m)
+  return store([...byId.values()])
+}
+
+export const deleteCustomModel = (id) => store(loadCustomModels().filter(m=>m.id !== id))
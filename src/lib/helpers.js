@@ -0,0 +1,25 @@
+// ---------- Helpers ----------
+export const num = (v, d=0) => Number.isFinite(+v) ? +v : d
+export const pairs = (txt) => txt.split(/\n|,/).map(s=>s.trim()).filter(Boolean)
+  .map(p => { const [a,b]=p.split(':').map(s=>s.trim()); return {x:+a,y:+b} })
+  .filter(p => Number.isFinite(p.x)&&Number.isFinite(p.y))
+  .sort((a,b)=>a.x-b.x)
+
+export const interp = (tbl, t) => {
+  if (!tbl.length) return 2.2
+  if (t <= tbl[0].x) return tbl[0].y
+  if (t >= tbl[tbl.length-1].x) return tbl[tbl.length-1].y
+  for (let i=0;i<tbl.length-1;i++){
+    const a=tbl[i], b=tbl[i+1]
+    if (t>=a.x && t<=b.x){
+      const f = (t-a.x)/(b.x-a.x || 1)
+      return a.y + f*(b.y-a.y)
+    }
+  }
+  return tbl[tbl.length-1].y
+}
+
+export const normBins = (bins) => {
+  const s = bins.reduce((k,b)=>k+b.y,0) || 1
+  return bins.map(b=>({x:b.x, y:b.y*100/s}))
+}
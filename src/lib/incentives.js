@@ -0,0 +1,117 @@
+import { num } from './helpers.js'
+
+// ---------- Incentive and rebate stack ----------
+//
+// An incentive list is a JSON array (or { "incentives": [...] }) of
+//   {
+//     "id": "25c",                      unique; referenced by "excludes"
+//     "name": "Federal 25C tax credit",
+//     "type": "percent" | "perTon" | "fixed",
+//     "amount": 30,                     % of cost, $ per ton of heat pump, or $
+//     "cap": 2000,                      optional $ limit (25C's annual cap)
+//     "afterPrior": true,               optional; a percent of the cost left after
+//                                       the incentives above it (credits are
+//                                       figured on the cost net of rebates)
+//     "eligibility": { "maxIncome": 80, "minIncome": 0, "minTons": 2, "maxTons": 5 },
+//                                       optional; income is % of area median income
+//     "excludes": ["state"]             optional; can't be stacked with these
+//   }
+// Entries apply in list order. One that excludes, or is excluded by, an entry
+// already applied is skipped. The total never exceeds the install cost.
+
+export const INCENTIVE_TYPES = [
+  ['percent', '% of cost'],
+  ['perTon', '$ per ton'],
+  ['fixed', 'Fixed $'],
+]
+
+// Default stack: 30% capped at $2,000 after a $200/ton utility rebate, which
+// at 3 tons reproduces the old single $2,600 credit. The income-qualified
+// rebate is listed but out of reach at the default 120% of area median income.
+export const DEFAULT_INCENTIVES = [
+  { id: 'utility', name: 'Utility heat pump rebate', type: 'perTon', amount: 200 },
+  { id: '25c', name: 'Federal 25C tax credit', type: 'percent', amount: 30, cap: 2000, afterPrior: true },
+  { id: 'heehra', name: 'Income-qualified rebate (HEEHRA)', type: 'percent', amount: 100, cap: 8000, eligibility: { maxIncome: 80 } },
+]
+
+// Numbers may arrive as strings from the form while they are being typed
+const toNum = (v) => typeof v === 'string' && v.trim() !== '' ? Number(v) : v
+
+const LIMITS = [['maxIncome', 'minIncome', 'income'], ['maxTons', 'minTons', 'tons']]
+const RULE_KEYS = LIMITS.flatMap(([max, min])=>[max, min])
+
+// Throws on the first problem, naming the entry
+export function checkIncentive(x, i=0){
+  const where = x?.name || x?.id || `incentives[${i}]`
+  if (!x || typeof x !== 'object') throw new Error(`incentives[${i}] must be an object`)
+  if (!x.id) throw new Error(`${where}: needs an "id"`)
+  if (!INCENTIVE_TYPES.some(([t])=>t === x.type)) throw new Error(`${where}: type must be percent, perTon or fixed`)
+  const amount = toNum(x.amount), cap = toNum(x.cap)
+  if (!Number.isFinite(amount) || amount < 0) throw new Error(`${where}: amount must be a number, 0 or more`)
+  if (cap != null && cap !== '' && (!Number.isFinite(cap) || cap < 0)) throw new Error(`${where}: cap must be a number, 0 or more`)
+  if (x.excludes != null && !Array.isArray(x.excludes)) throw new Error(`${where}: excludes must be an array of ids`)
+  for (const [k, v] of Object.entries(x.eligibility || {})){
+    if (!RULE_KEYS.includes(k)) throw new Error(`${where}: unknown eligibility rule "${k}"`)
+    if (!Number.isFinite(toNum(v))) throw new Error(`${where}: eligibility.${k} must be a number`)
+  }
+}
+
+export function parseIncentives(text){
+  const data = JSON.parse(text)
+  const list = Array.isArray(data) ? data : data?.incentives
+  if (!Array.isArray(list)) throw new Error('Incentive file needs an array (or an "incentives" array)')
+  list.forEach(checkIncentive)
+  const ids = list.map(x=>x.id)
+  const dup = ids.find((id, i)=>ids.indexOf(id) !== i)
+  if (dup) throw new Error(`Duplicate incentive id "${dup}"`)
+  return list
+}
+
+// Why a project fails an entry's eligibility, or null
+const ineligible = (x, project) => {
+  for (const [maxKey, minKey, what] of LIMITS){
+    const v = project[what], e = x.eligibility || {}
+    const unit = what === 'income' ? '% of AMI' : ' tons'
+    if (e[maxKey] != null && v > num(e[maxKey])) return `${what === 'income' ? 'Income' : 'Size'} ${v}${unit} is above the ${e[maxKey]}${unit} limit`
+    if (e[minKey] != null && v < num(e[minKey])) return `${what === 'income' ? 'Income' : 'Size'} ${v}${unit} is below the ${e[minKey]}${unit} minimum`
+  }
+  return null
+}
+
+// Itemized stack for one project: { items [{ id, name, status ('applied' |
+// 'ineligible' | 'not stackable'), amount ($), note }], total, net }
+export function stackIncentives(list, { cost, tons=0, income=100 }){
+  const applied = []
+  let left = Math.max(0, num(cost))
+  const items = (list || []).map(x=>{
+    const base = { id: x.id, name: x.name || x.id, status: 'applied', amount: 0, note: '' }
+    const why = ineligible(x, { tons, income })
+    if (why) return { ...base, status: 'ineligible', note: why }
+    const clash = applied.find(a=>(x.excludes || []).includes(a.id) || (a.excludes || []).includes(x.id))
+    if (clash) return { ...base, status: 'not stackable', note: `Can't be combined with ${clash.name || clash.id}` }
+
+    const amt = num(x.amount), cap = x.cap != null && x.cap !== '' ? num(x.cap) : null
+    const raw = x.type === 'percent' ? (x.afterPrior ? left : cost)*amt/100
+      : x.type === 'perTon' ? amt*tons
+      : amt
+    const notes = []
+    let amount = raw
+    if (cap != null && amount > cap){ amount = cap; notes.push(`capped at $${cap.toLocaleString()}`) }
+    if (amount > left){ amount = left; notes.push('limited to the remaining cost') }
+    left -= amount
+    applied.push(x)
+    return { ...base, amount: Math.round(amount), note: notes.join('; ') }
+  })
+  const total = items.reduce((k, x)=>k + x.amount, 0)
+  return { items, total, net: Math.round(Math.max(0, num(cost)) - total) }
+}
+
+// Copy of a list with every $ amount and cap multiplied by k (percents unchanged)
+export const scaleIncentives = (list, k) => list.map(x=>({
+  ...x,
+  ...(x.type !== 'percent' ? { amount: num(x.amount)*k } : {}),
+  ...(x.cap != null && x.cap !== '' ? { cap: num(x.cap)*k } : {}),
+}))
+
+// An old single "Tax credits" amount as a one-entry list
+export const legacyCredits = (credits) => [{ id: 'credits', name: 'Tax credits', type: 'fixed', amount: num(credits) }]
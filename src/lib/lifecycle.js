@@ -0,0 +1,87 @@
+import { num } from './helpers.js'
+import { D } from './defaults.js'
+
+// ---------- Lifecycle cash flow ----------
+//
+// Year-by-year savings for a scenario relative to the baseline, with electric
+// and gas costs escalated separately. Year 0 is the net install cost less the
+// replacement cost avoided; the same incremental cost (without credits) is
+// re-incurred every `equipLife` years inside the horizon. `credits` are the
+// stacked incentives; `extra` is a one-off net cost added in year 0 (switched
+// gas appliances for all-electric).
+//
+// Rates (discountRate, elecEsc, gasEsc) are entered in %/yr.
+
+export const npv = (rate, flows) => flows.reduce((k,cf,y)=>k + cf/Math.pow(1+rate, y), 0)
+
+// Bisection on NPV = 0; null when the flows never change sign in range
+export const irr = (flows, lo=-0.99, hi=10) => {
+  let fLo = npv(lo, flows), fHi = npv(hi, flows)
+  if (!Number.isFinite(fLo) || !Number.isFinite(fHi) || fLo*fHi > 0) return null
+  for (let i=0;i<200;i++){
+    const mid = (lo+hi)/2
+    const fMid = npv(mid, flows)
+    if (Math.abs(fMid) < 1e-6) return mid
+    if (fLo*fMid < 0){ hi = mid; fHi = fMid } else { lo = mid; fLo = fMid }
+  }
+  return (lo+hi)/2
+}
+
+// First (fractional) year the cumulative series turns non-negative
+const paybackYear = (cum) => {
+  for (let y=1;y<cum.length;y++){
+    if (cum[y] >= 0 && cum[y-1] < 0) return y - 1 + (0 - cum[y-1])/(cum[y] - cum[y-1])
+  }
+  return cum[0] >= 0 ? 0 : null
+}
+
+export function cashFlow(base, scen, maintScen, f={}, { credits=0, extra=0 } = {}){
+  const horizon = Math.max(1, Math.round(num(f.horizon, D.horizon)))
+  const r = num(f.discountRate, D.discountRate)/100
+  const e = num(f.elecEsc, D.elecEsc)/100
+  const g = num(f.gasEsc, D.gasEsc)/100
+  const life = Math.max(1, Math.round(num(f.equipLife, D.equipLife)))
+  const gross = num(f.gross, D.gross)
+  const avoided = num(f.replAvoided, D.replAvoided)
+  const maintBase = num(f.maintBase, D.maintBase)
+
+  const rows = []
+  let cum = 0, cumDisc = 0
+  for (let y=0; y<=horizon; y++){
+    const capex = y === 0 ? gross - credits - avoided + extra
+      : (y % life === 0 && y < horizon) ? gross - avoided : 0
+    const savings = y === 0 ? 0
+      : (base.elec - scen.elec)*Math.pow(1+e, y-1)
+      + (base.gas - scen.gas)*Math.pow(1+g, y-1)
+      + (maintBase - maintScen)
+    const net = savings - capex
+    const disc = net/Math.pow(1+r, y)
+    cum += net
+    cumDisc += disc
+    rows.push({ year: y, savings: Math.round(savings), capex: Math.round(capex), net: Math.round(net),
+      cumulative: Math.round(cum), discounted: Math.round(disc), cumDiscounted: Math.round(cumDisc) })
+  }
+  const flows = rows.map(x=>x.net)
+  const i = irr(flows)
+  const dp = paybackYear(rows.map(x=>x.cumDiscounted))
+  return {
+    rows,
+    npv: Math.round(npv(r, flows)),
+    irr: i!=null ? +(i*100).toFixed(1) : null,
+    discountedPayback: dp!=null ? +dp.toFixed(1) : null,
+  }
+}
+
+// Lifecycle for every scenario in an engine result; hybrid is null without a COP table
+export function lifecycle(calc, f={}){
+  const { baseline, allElectric, hybrid } = calc.costs
+  const credits = calc.incentives?.total || 0
+  const allElectricCF = cashFlow(baseline, allElectric, num(f.maintHP, D.maintHP), f, { credits, extra: calc.appliances?.netCost || 0 })
+  const hybridCF = hybrid ? cashFlow(baseline, hybrid, num(f.maintHybrid, D.maintHybrid), f, { credits }) : null
+  const chart = allElectricCF.rows.map((x,i)=>({
+    year: x.year,
+    allElectric: x.cumulative,
+    ...(hybridCF ? { hybrid: hybridCF.rows[i].cumulative } : {}),
+  }))
+  return { allElectric: allElectricCF, hybrid: hybridCF, chart }
+}
@@ -0,0 +1,61 @@
+import { degreeHours } from './weather.js'
+
+// ---------- Heat load estimate from house characteristics ----------
+//
+// A steady-state UA model for homes without usage history:
+//   UA (Btu/h·°F) = envelope UA per ft² of floor × area  (or a UA entered directly)
+//                 + 0.018 × volume (ft³) × natural air changes per hour
+//   balance point = indoor setpoint − internal gains / UA
+//   design heat loss (Btu/h) = UA × (setpoint − design temp)
+//   annual heat (MMBtu) = UA × 24 × HDD at the balance point / 1e6
+// HDD at the balance point comes from the hourly weather file when one is in
+// use; otherwise from the weather bins. The bins only give each temperature's
+// share of heating, so they are scaled to hours with the annual HDD65.
+
+// Conduction UA per ft² of floor area (walls, roof, windows, slab together)
+export const ENVELOPES = [
+  ['poor', 'Poor (uninsulated, single-pane)', 0.30],
+  ['average', 'Average (code ~1980s)', 0.20],
+  ['good', 'Good (current code)', 0.14],
+  ['high', 'High performance', 0.09],
+]
+
+// Natural air changes per hour
+export const LEAKAGE = [
+  ['leaky', 'Leaky', 0.8],
+  ['average', 'Average', 0.5],
+  ['tight', 'Tight', 0.3],
+  ['verytight', 'Very tight', 0.15],
+]
+
+// Btu/h per ft² from people, lights and appliances
+export const GAINS_PER_SQFT = 1.0
+const AIR_HEAT = 0.018 // Btu/ft³·°F
+
+const pick = (list, key) => (list.find(x=>x[0] === key) || list[1])[2]
+
+// Heating hours per bin from bin shares (% of heating) and the annual HDD65
+export const binHours = (bins, hdd65) => {
+  const w = bins.map(b=>b.x < 65 ? b.y/(65 - b.x) : 0)
+  const dd = bins.reduce((a,b,i)=>a + w[i]*(65 - b.x), 0)
+  return bins.map((b,i)=>({ t: b.x, hours: dd ? w[i]*hdd65*24/dd : 0 }))
+}
+
+export function estimateLoad({ area, height=8.5, envelope='average', ua=0, leakage='average', setpoint=68, designTemp, bins=[], hdd65, hours=null }){
+  const uaEnvelope = ua > 0 ? ua : pick(ENVELOPES, envelope)*area
+  const uaAir = AIR_HEAT*area*height*pick(LEAKAGE, leakage)
+  const UA = uaEnvelope + uaAir
+  const balancePoint = UA > 0 ? setpoint - GAINS_PER_SQFT*area/UA : setpoint
+  const dh = hours?.length
+    ? degreeHours(hours, balancePoint)
+    : binHours(bins, hdd65).reduce((a,b)=>a + b.hours*Math.max(0, balancePoint - b.t), 0)
+  return {
+    uaEnvelope: Math.round(uaEnvelope),
+    uaAir: Math.round(uaAir),
+    ua: Math.round(UA),
+    balancePoint: +balancePoint.toFixed(1),
+    designLoad: Math.round(UA*(setpoint - designTemp)/100)*100,
+    heatMMBtu: +(UA*dh/1e6).toFixed(1),
+    hddBalance: Math.round(dh/24),
+  }
+}
@@ -0,0 +1,173 @@
+import { num } from './helpers.js'
+import { D } from './defaults.js'
+import { calculate, resolveInputs } from './engine.js'
+import { lifecycle } from './lifecycle.js'
+import { comedTariff, nicorTariff, scaleTariff } from './tariffs.js'
+
+// ---------- Monte Carlo uncertainty ----------
+//
+// Each variable gets a distribution:
+//   { dist: 'fixed',      a }            always a
+//   { dist: 'uniform',    a, b }         min a, max b
+//   { dist: 'normal',     a, b }         mean a, standard deviation b
+//   { dist: 'triangular', a, b, c }      min a, mode b, max c
+// Price, load and cost variables are multipliers on the current inputs (1 = as
+// entered); escalation is an offset in percentage points added to the entered
+// %/yr (0 = as entered).
+//
+// Payback here is the year cumulative (escalated, undiscounted) cash flow
+// turns positive, so escalation and replacement costs count.
+
+export const VARIABLES = [
+  { key: 'elecPrice', label: 'Electric prices (×)',     spec: { dist: 'triangular', a: 0.9, b: 1, c: 1.2 } },
+  { key: 'gasPrice',  label: 'Gas prices (×)',          spec: { dist: 'triangular', a: 0.8, b: 1, c: 1.3 } },
+  { key: 'elecEsc',   label: 'Electric escalation (± %/yr)', spec: { dist: 'normal', a: 0, b: 1 } },
+  { key: 'gasEsc',    label: 'Gas escalation (± %/yr)', spec: { dist: 'normal', a: 0, b: 1.5 } },
+  { key: 'heatLoad',  label: 'Heat load (×)',           spec: { dist: 'normal', a: 1, b: 0.1 } },
+  { key: 'copScale',  label: 'COP scale factor (×)',    spec: { dist: 'triangular', a: 0.85, b: 1, c: 1.05 } },
+  { key: 'install',   label: 'Gross install cost (×)',  spec: { dist: 'uniform', a: 0.9, b: 1.2 } },
+]
+
+export const defaultSpecs = () => Object.fromEntries(VARIABLES.map(v=>[v.key, { ...v.spec }]))
+
+// Small fast seeded PRNG (mulberry32)
+export const rng = (seed) => {
+  let s = seed >>> 0
+  return () => {
+    s = (s + 0x6D2B79F5) >>> 0
+    let t = s
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+const PARAMS = { fixed: ['a'], uniform: ['a', 'b'], normal: ['a', 'b'], triangular: ['a', 'b', 'c'] }
+
+// Problems with a set of specs, one message per bad variable (empty when valid)
+export function checkSpecs(specs){
+  const errors = []
+  for (const v of VARIABLES){
+    const s = specs[v.key]
+    if (!s || !PARAMS[s.dist]){ errors.push(`${v.label}: unknown distribution "${s?.dist}"`); continue }
+    const x = {}
+    const blank = PARAMS[s.dist].find(k=>{ x[k] = String(s[k] ?? '').trim() === '' ? NaN : +s[k]; return !Number.isFinite(x[k]) })
+    if (blank) errors.push(`${v.label}: every parameter must be a number`)
+    else if (s.dist === 'uniform' && x.a > x.b) errors.push(`${v.label}: min must not exceed max`)
+    else if (s.dist === 'normal' && x.b < 0) errors.push(`${v.label}: standard deviation must be 0 or more`)
+    else if (s.dist === 'triangular' && !(x.a <= x.b && x.b <= x.c)) errors.push(`${v.label}: needs min ≤ mode ≤ max`)
+  }
+  return errors
+}
+
+export function sample(spec, rand){
+  const a = num(spec.a), b = num(spec.b), c = num(spec.c)
+  switch (spec.dist){
+    case 'uniform': return a + (b - a)*rand()
+    case 'normal': {
+      const u = 1 - rand(), v = rand()
+      return a + b*Math.sqrt(-2*Math.log(u))*Math.cos(2*Math.PI*v)
+    }
+    case 'triangular': {
+      const u = rand(), fc = (b - a)/((c - a) || 1)
+      return u < fc ? a + Math.sqrt(u*(c - a)*(b - a)) : c - Math.sqrt((1 - u)*(c - a)*(c - b))
+    }
+    default: return a
+  }
+}
+
+const paybackYear = (rows) => {
+  for (let i=1;i<rows.length;i++){
+    const p = rows[i-1].cumulative, c = rows[i].cumulative
+    if (p < 0 && c >= 0) return i - 1 + (0 - p)/(c - p)
+  }
+  return rows[0].cumulative >= 0 ? 0 : null
+}
+
+export const percentile = (sorted, q) => {
+  if (!sorted.length) return null
+  const i = (sorted.length - 1)*q
+  const lo = Math.floor(i), hi = Math.ceil(i)
+  const a = sorted[lo], b = sorted[hi]
+  // Equal ends (including Infinity, Infinity) would give NaN from b - a
+  return a === b ? a : a + (b - a)*(i - lo)
+}
+
+// Infinity (never pays back) stays in the sample, so a percentile landing
+// among those runs is Infinity rather than a figure from the rest
+const summarize = (vals) => {
+  const s = vals.filter(v=>v != null && !Number.isNaN(v)).sort((a,b)=>a-b)
+  return { p10: percentile(s, 0.1), p50: percentile(s, 0.5), p90: percentile(s, 0.9), n: s.length }
+}
+
+// One draw through the engine and lifecycle model
+function trial(args, specs, rand){
+  const p = resolveInputs(args.f)
+  const x = Object.fromEntries(VARIABLES.map(v=>[v.key, sample(specs[v.key], rand)]))
+  const k = Math.max(0, x.elecPrice), g = Math.max(0, x.gasPrice)
+  const f = {
+    ...args.f,
+    heatMMBtu: Math.max(0, p.heatMMBtu*x.heatLoad),
+    copScale: Math.max(0.05, p.copScale*x.copScale),
+    gross: Math.max(0, p.gross*x.install),
+    elecEsc: p.elecEsc + x.elecEsc,
+    gasEsc: p.gasEsc + x.gasEsc,
+  }
+  const r = calculate({
+    ...args, f,
+    elecTariff: scaleTariff(args.elecTariff || comedTariff(p), k),
+    gasTariff: scaleTariff(args.gasTariff || nicorTariff(p), g),
+  })
+  const life = lifecycle(r, f)
+  return {
+    savingsAll: r.savingsAll, paybackAll: paybackYear(life.allElectric.rows),
+    savingsHybrid: r.savingsHybrid, paybackHybrid: life.hybrid ? paybackYear(life.hybrid.rows) : null,
+  }
+}
+
+// Payback histogram in 1-year bins up to the horizon; never-pays-back goes last
+const histogram = (paybacks, horizon) => {
+  const bins = Array.from({length: horizon}, (_,i)=>({ name: `${i}–${i+1}`, count: 0 }))
+  const never = { name: `>${horizon}`, count: 0 }
+  for (const v of paybacks){
+    if (v == null || v >= horizon) never.count++
+    else bins[Math.floor(v)].count++
+  }
+  return [...bins, never]
+}
+
+// Enough for stable P10/P90 without tying up the worker for minutes
+export const RUNS = [100, 50000]
+
+// Problem with a simulation count, or null
+export function checkRuns(runs){
+  const n = String(runs ?? '').trim() === '' ? NaN : +runs
+  if (!Number.isInteger(n)) return 'Simulations must be a whole number'
+  if (n < RUNS[0] || n > RUNS[1]) return `Simulations must be between ${RUNS[0].toLocaleString()} and ${RUNS[1].toLocaleString()}`
+  return null
+}
+
+export function runMonteCarlo(args, specs, { runs=2000, seed=1, target=10, onProgress } = {}){
+  const errors = [...checkSpecs(specs), checkRuns(runs)].filter(Boolean)
+  if (errors.length) throw new Error(errors.join('; '))
+  const rand = rng(seed)
+  const out = { savingsAll: [], paybackAll: [], savingsHybrid: [], paybackHybrid: [] }
+  for (let i=0;i<runs;i++){
+    const t = trial(args, specs, rand)
+    for (const k of Object.keys(out)) out[k].push(t[k])
+    if (onProgress && (i+1) % 200 === 0) onProgress(i+1)
+  }
+  const horizon = Math.max(1, Math.round(num(args.f.horizon, D.horizon)))
+  const hasHybrid = out.savingsHybrid.some(v=>v != null)
+  const scenario = (s, p) => ({
+    savings: summarize(s),
+    payback: summarize(p.map(v=>v ?? Infinity)),
+    probUnder: p.filter(v=>v != null && v <= target).length/runs,
+    histogram: histogram(p, horizon),
+  })
+  return {
+    runs, seed, target, horizon,
+    allElectric: scenario(out.savingsAll, out.paybackAll),
+    hybrid: hasHybrid ? scenario(out.savingsHybrid, out.paybackHybrid) : null,
+  }
+}
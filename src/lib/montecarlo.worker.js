@@ -0,0 +1,12 @@
+import { runMonteCarlo } from './montecarlo.js'
+
+// Runs the simulation off the main thread; posts progress every 200 runs
+self.onmessage = (e) => {
+  const { args, specs, opts } = e.data
+  try {
+    const result = runMonteCarlo(args, specs, { ...opts, onProgress: (done)=>self.postMessage({ type: 'progress', done }) })
+    self.postMessage({ type: 'done', result })
+  } catch (err){
+    self.postMessage({ type: 'error', message: err.message })
+  }
+}
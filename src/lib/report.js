@@ -0,0 +1,202 @@
+import { KWH_PER_MMBTU, MMBTU_PER_THERM, resolveInputs } from './engine.js'
+import { pairs, normBins } from './helpers.js'
+import { downloadText } from './download.js'
+
+// ---------- Homeowner report ----------
+//
+// reportHTML() builds a self-contained, print-styled HTML document (inline CSS
+// and an SVG cost chart) from the calculator inputs and engine output.
+// openReport() shows it in a new window and opens the print dialog, where the
+// browser's "Save as PDF" gives the PDF. Nothing leaves the browser.
+
+const esc = (v) => String(v ?? '').replace(/[&<>"']/g, c=>({ '&':'&amp;', '<':'&lt;', '>':'&gt;', '"':'&quot;', "'":'&#39;' }[c]))
+const money = (v) => v == null ? '—' : `${v < 0 ? '-' : ''}$${Math.abs(v).toLocaleString()}`
+const yrs = (v) => v == null ? '—' : `${v} yrs`
+
+// [key, label]; shown when `when(inputs)` is true
+const FIELDS = [
+  ['Electricity', [
+    ['kwhBase', 'Annual non-heating kWh'],
+    ['supplyC', 'Supply (¢/kWh)', s=>!s.elecTariff],
+    ['txC', 'Transmission (¢/kWh)', s=>!s.elecTariff],
+    ['dfcNon', 'DFC non-electric-heat (¢/kWh)', s=>!s.elecTariff],
+    ['dfcEH', 'DFC electric-heat (¢/kWh)', s=>!s.elecTariff],
+  ]],
+  ['Gas & heating', [
+    ['gasSupply', 'Gas supply ($/therm)', s=>!s.gasTariff],
+    ['gasDist', 'Gas delivery ($/therm)', s=>!s.gasTariff],
+    ['gasFixed', 'Gas customer charge ($/month)', s=>!s.gasTariff],
+    ['afue', 'Furnace AFUE'],
+    ['heatMMBtu', 'Heat load (MMBtu/yr)'],
+    ['coolLoad', 'Cooling load (MMBtu/yr)', s=>+s.f.coolLoad > 0],
+    ['acSEER', 'Existing AC SEER', s=>+s.f.coolLoad > 0],
+    ['hpSEER', 'Heat pump SEER2', s=>+s.f.coolLoad > 0 && !s.coolText],
+    ['seasonalCOP', 'Seasonal COP', s=>!s.useTable],
+    ['copScale', 'COP scale factor', s=>s.useTable],
+    ['balancePoint', 'Balance point (°F)', s=>s.useTable],
+    ['designLoad', 'Design heat loss (Btu/h)', s=>s.useTable && s.useCapacity],
+    ['designTemp', 'Design temp (°F)', s=>s.useTable && s.useCapacity],
+  ]],
+  ['Project & lifecycle', [
+    ['gross', 'Gross install ($)'],
+    ['hpTons', 'Heat pump size (tons)'],
+    ['incomePct', 'Household income (% of AMI)'],
+    ['horizon', 'Horizon (yrs)'],
+    ['discountRate', 'Discount rate (%)'],
+    ['elecEsc', 'Electric escalation (%/yr)'],
+    ['gasEsc', 'Gas escalation (%/yr)'],
+    ['equipLife', 'Equipment life (yrs)'],
+  ]],
+]
+
+const table = (head, rows) => `<table><thead><tr>${head.map(h=>`<th>${esc(h)}</th>`).join('')}</tr></thead>
+<tbody>${rows.map(r=>`<tr>${r.map(c=>`<td>${esc(c)}</td>`).join('')}</tr>`).join('')}</tbody></table>`
+
+// Bars grow up from a zero line, or down for a negative cost (e.g. a PV
+// credit larger than the bill); the scale spans both
+function costChart(data, w=560, h=240){
+  const hi = Math.max(0, ...data.map(d=>d.cost)), lo = Math.min(0, ...data.map(d=>d.cost))
+  const top = 20, bottom = h - 25 - (lo < 0 ? 16 : 0)
+  const y = (v) => top + (bottom - top)*(hi - v)/Math.max(1, hi - lo)
+  const zero = y(0)
+  const pad = 30, bw = (w - pad*2)/data.length
+  const bars = data.map((d,i)=>{
+    const x = pad + i*bw + bw*0.15, end = y(d.cost)
+    return `<rect x="${x}" y="${Math.min(end, zero)}" width="${bw*0.7}" height="${Math.abs(end - zero)}" fill="#2563eb" />
+<text x="${x + bw*0.35}" y="${d.cost < 0 ? end + 14 : end - 5}" text-anchor="middle" font-size="12">${esc(money(d.cost))}</text>
+<text x="${x + bw*0.35}" y="${h - 8}" text-anchor="middle" font-size="12">${esc(d.name)}</text>`
+  }).join('\n')
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${w}" height="${h}" viewBox="0 0 ${w} ${h}">
+<line x1="${pad}" y1="${zero}" x2="${w - pad}" y2="${zero}" stroke="#999" />
+${bars}
+</svg>`
+}
+
+const CSS = `
+@page { size: letter; margin: 0.6in; }
+body { font-family: system-ui, -apple-system, Segoe UI, Roboto, sans-serif; color: #111; font-size: 12px; line-height: 1.4; margin: 0 auto; max-width: 7.3in; }
+h1 { font-size: 20px; margin: 0 0 4px; }
+h2 { font-size: 15px; margin: 18px 0 6px; border-bottom: 1px solid #ccc; padding-bottom: 2px; }
+h3 { font-size: 13px; margin: 10px 0 4px; }
+table { border-collapse: collapse; width: 100%; margin-bottom: 8px; break-inside: avoid; }
+th, td { border: 1px solid #ddd; padding: 3px 6px; text-align: left; }
+th { background: #f3f4f6; }
+.muted { color: #555; }
+.cols { display: flex; gap: 16px; align-items: flex-start; }
+.cols > div { flex: 1; }
+.page { break-before: page; }
+section { break-inside: avoid; }
+@media screen { body { padding: 24px; } .toolbar { margin-bottom: 16px; } }
+@media print { .toolbar { display: none; } }
+`
+
+export function reportHTML({ inputs, calc, title='Heat Pump Break-Even & Payback Report', date=new Date() }){
+  const s = inputs, f = s.f
+  const inputTables = FIELDS.map(([group, list])=>{
+    const rows = list.filter(([, , when])=>!when || when(s)).map(([k, label])=>[label, f[k]])
+    return `<h3>${esc(group)}</h3>${table(['Input', 'Value'], rows)}`
+  }).join('')
+  const afue = resolveInputs(f).afue
+  const lockout = calc.lockout
+  const hybridText = !lockout
+    ? 'The hybrid scenario needs a COP table and is not modeled in seasonal-COP mode.'
+    : lockout.mode === 'ideal'
+      ? 'A hybrid system runs the heat pump when its cost per MMBtu delivered is lower than gas (price per therm ÷ 0.1 ÷ AFUE) and the furnace otherwise. The crossover temperature is where the two costs are equal.'
+      : `A hybrid system runs the heat pump at or above a thermostat lockout setpoint of ${lockout.setpoint}°F${lockout.mode === 'optimal' ? ', the setpoint with the lowest annual cost of those tried,' : ''} and the furnace below it. The crossover temperature, where heat pump and gas cost the same per MMBtu delivered, is shown for comparison; switching at the setpoint costs ${money(lockout.lost)}/yr more than picking the cheaper fuel at every temperature.`
+  const extras = [
+    calc.location && ['Climate location', `${calc.location.name} (${calc.location.source})`],
+    calc.equipment && ['Heat pump', calc.equipment],
+    s.elecTariff && ['Electric tariff', s.elecTariff.name],
+    s.gasTariff && ['Gas tariff', s.gasTariff.name],
+    ['Model', s.useTable ? (calc.mode === 'hourly' ? 'Hourly weather simulation' : 'Weather bins + COP table') : 'Seasonal COP'],
+    s.useTable && s.useCapacity && ['All-electric backup', s.backup === 'gas' ? 'Gas furnace' : 'Electric resistance'],
+  ].filter(Boolean)
+
+  const incentiveRows = calc.incentives.items.map(x=>[x.name, x.status === 'applied' ? `-${money(x.amount)}` : x.status, x.note])
+  const results = [
+    ['Baseline (gas furnace + AC)', money(calc.baseline)],
+    ['All-electric heat pump', money(calc.allElectric)],
+    [calc.lockout?.setpoint != null ? `Hybrid (thermostat lockout ${calc.lockout.setpoint}°F)` : 'Hybrid (cheapest fuel each bin)', money(calc.hybrid)],
+    ['Annual savings, all-electric', money(calc.savingsAll)],
+    ['Annual savings, hybrid', money(calc.savingsHybrid)],
+    ['Net install cost (after incentives)', money(calc.netCost)],
+    ['Simple payback, all-electric', yrs(calc.paybackAll)],
+    ['Simple payback, hybrid', yrs(calc.paybackHybrid)],
+    ['DFC / electric-heat rate savings on base kWh', `${money(calc.dfcSavings)}/yr`],
+    ['Gas heating cost', money(calc.gasHeatCost)],
+    ['Heat pump heating cost', money(calc.hpHeatCost)],
+    ['Fuel-switch savings', money(Math.max(0, calc.fuelSwitch))],
+    ...(calc.cooling ? [
+      ['Cooling savings, all-electric', money(calc.cooling.savingsAll)],
+      ['Heating savings, all-electric', money(calc.cooling.heatingSavingsAll)],
+      ...(calc.cooling.savingsHybrid != null ? [
+        ['Cooling savings, hybrid', money(calc.cooling.savingsHybrid)],
+        ['Heating savings, hybrid', money(calc.cooling.heatingSavingsHybrid)],
+      ] : []),
+    ] : []),
+    ...(calc.appliances ? [
+      ...calc.appliances.uses.filter(u=>u.state === 'switch').map(u=>[`${u.electric}: savings / payback`, `${money(u.savings)}/yr, ${yrs(u.payback)}`]),
+      ['Gas customer charge removed (all-electric)', money(calc.appliances.gasService)],
+    ] : []),
+    ['Crossover temperature', calc.crossoverTemp != null ? `${calc.crossoverTemp}°F` : (calc.crossoverNote || '—')],
+  ]
+
+  const cop = pairs(s.copText).map(r=>[`${r.x}°F`, r.y])
+  const bins = normBins(pairs(s.binsText)).map(r=>[`${r.x}°F`, `${Math.round(r.y*10)/10}%`])
+  const tables = s.useTable ? `
+<div class="page">
+  <h2>Heat pump performance and climate</h2>
+  <div class="cols">
+    <div><h3>COP table${f.copScale && +f.copScale !== 1 ? ` (scaled ×${esc(f.copScale)})` : ''}</h3>${table(['Outdoor temp', 'COP'], cop)}</div>
+    <div><h3>Weather bins (share of heating)</h3>${table(['Outdoor temp', 'Share'], bins)}</div>
+  </div>
+</div>` : ''
+
+  return `<!doctype html>
+<html><head><meta charset="utf-8" /><title>${esc(title)}</title><style>${CSS}</style></head>
+<body>
+<div class="toolbar"><button onclick="window.print()">Print / Save as PDF</button></div>
+<h1>${esc(title)}</h1>
+<div class="muted">Prepared ${esc(date.toLocaleDateString())}</div>
+
+<section>
+  <h2>Results summary</h2>
+  ${table(['Annual figure', 'Value'], results)}
+</section>
+
+<section>
+  <h2>Annual cost comparison</h2>
+  ${costChart(calc.chart)}
+</section>
+
+<div class="page">
+  <h2>Inputs</h2>
+  ${extras.length ? table(['Setting', 'Value'], extras) : ''}
+  ${inputTables}
+  <h3>Incentives</h3>
+  ${table(['Incentive', 'Amount', 'Note'], [['Gross install', money(+f.gross), ''], ...incentiveRows, ['Net install cost', money(calc.netCost), '']])}
+</div>
+${tables}
+
+<div class="page">
+  <h2>Methodology</h2>
+  <p><b>Heat delivered.</b> The heat load is the heat the home needs per year in MMBtu delivered (after furnace losses). Gas use is that load divided by the furnace AFUE: at the ${+(afue*100).toFixed(1)}% AFUE entered, the furnace burns 1/${afue} = ${(1/afue).toFixed(3)} MMBtu of gas for each MMBtu of heat, and 1 therm = ${MMBTU_PER_THERM} MMBtu. AFUE is a seasonal rating; real-world efficiency may be lower with long duct runs or oversized equipment.</p>
+  <p><b>Heat pump electricity.</b> 1 MMBtu = ${KWH_PER_MMBTU} kWh, so delivering 1 MMBtu with a heat pump at coefficient of performance (COP) 3 takes ${KWH_PER_MMBTU} / 3 ≈ ${Math.round(KWH_PER_MMBTU/3)} kWh. COP falls as outdoor temperature drops; the model interpolates the COP table linearly at each temperature.</p>
+  <p><b>Weather.</b> The heat load is split across outdoor-temperature bins (or hours of a weather file) in proportion to heating demand. Each bin is served at that bin's COP.</p>
+  <p><b>Hybrid.</b> ${esc(hybridText)}</p>
+  <p><b>Bills.</b> Electricity and gas are billed month by month under the selected rates, including the lower electric-heat delivery rate (DFC) that applies to all household kWh once the home heats with electricity. Payback is net install cost (gross less the incentives listed) divided by annual savings, without escalation or discounting.</p>
+  <p class="muted">These are estimates from typical-year weather and the inputs above. Actual bills depend on weather, thermostat settings, equipment installation and future energy prices.</p>
+</div>
+</body></html>`
+}
+
+// Popup blockers return null from window.open; fall back to downloading the file
+export function openReport(html, filename='heat-pump-report.html'){
+  const w = window.open('', '_blank')
+  if (!w) return downloadText(html, filename, 'text/html')
+  w.document.open()
+  w.document.write(html)
+  w.document.close()
+  w.focus()
+  setTimeout(()=>w.print(), 300)
+}
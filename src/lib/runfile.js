@@ -0,0 +1,68 @@
+import { encodeInputs, decodeInputs } from './share.js'
+import { withDefaults } from './scenarios.js'
+
+// ---------- Run export / import ----------
+//
+// A run file is the per-bin breakdown plus the inputs that produced it, so it
+// can be opened in a spreadsheet and loaded back to reproduce the run.
+//   JSON: { format, version, exportedAt, inputs, results, bins }
+//   CSV:  "# inputs=<share-link params>" comment line, then one row per bin
+// Hourly weather files are not embedded; a re-imported hourly run falls back
+// to the bins until the file is loaded again.
+
+export const FORMAT = 'heatpump-calculator-run'
+const INPUTS_PREFIX = '# inputs='
+
+export const BIN_COLUMNS = [
+  ['t', 'Temp (°F)'],
+  ['pct', 'Share of heat (%)'],
+  ['mmbtu', 'Heat (MMBtu)'],
+  ['cop', 'COP'],
+  ['capacityShare', 'HP capacity share'],
+  ['hpKWh', 'All-electric HP kWh'],
+  ['unmetMMBtu', 'Unmet (MMBtu)'],
+  ['hpCostPerMMBtu', 'HP $/MMBtu'],
+  ['gasCostPerMMBtu', 'Gas $/MMBtu'],
+  ['fuel', 'Hybrid fuel'],
+  ['hybridKWh', 'Hybrid kWh'],
+  ['hybridTherms', 'Hybrid therms'],
+]
+
+const SUMMARY = ['baseline', 'allElectric', 'hybrid', 'savingsAll', 'savingsHybrid', 'paybackAll', 'paybackHybrid',
+  'dfcSavings', 'gasHeatCost', 'hpHeatCost', 'fuelSwitch', 'crossoverTemp', 'mode']
+
+export const runJSON = (inputs, calc, exportedAt=new Date()) => ({
+  format: FORMAT,
+  version: 1,
+  exportedAt: exportedAt.toISOString(),
+  inputs,
+  results: Object.fromEntries(SUMMARY.map(k=>[k, calc[k]])),
+  bins: calc.bins || [],
+})
+
+// One CSV field, quoted when it holds a comma, quote or newline
+export const cell = (v) => v == null ? '' : /[",\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : String(v)
+
+export const runCSV = (inputs, calc) => [
+  `# ${FORMAT} v1`,
+  INPUTS_PREFIX + encodeInputs(inputs),
+  ...SUMMARY.map(k=>`# ${k}=${calc[k] ?? ''}`),
+  BIN_COLUMNS.map(([, label])=>cell(label)).join(','),
+  ...(calc.bins || []).map(b=>BIN_COLUMNS.map(([k])=>cell(b[k])).join(',')),
+].join('\n') + '\n'
+
+// → { inputs, warnings }; throws when the text is not a run file
+export function parseRun(text){
+  const t = String(text).trim()
+  if (t.startsWith('{')){
+    let obj
+    try { obj = JSON.parse(t) } catch (e){ throw new Error(`Invalid JSON: ${e.message}`) }
+    if (obj?.format !== FORMAT || typeof obj.inputs !== 'object' || !obj.inputs) throw new Error('Not a heat pump calculator run file')
+    return { inputs: withDefaults(obj.inputs), warnings: [] }
+  }
+  const line = t.split(/\r?\n/).find(l=>l.startsWith(INPUTS_PREFIX))
+  if (!line) throw new Error(`No "${INPUTS_PREFIX}" line found; only CSV files exported by this calculator can be imported`)
+  const decoded = decodeInputs(line.slice(INPUTS_PREFIX.length))
+  if (!decoded) throw new Error('The inputs line does not hold calculator inputs')
+  return decoded
+}
@@ -0,0 +1,115 @@
+import { calculate } from './engine.js'
+import { defaultAppliances } from './appliances.js'
+import { DEFAULT_INCENTIVES, legacyCredits } from './incentives.js'
+import { findStation, climate } from './climate.js'
+import { DEFAULT_COP, DEFAULT_BINS, DEFAULT_CAP, DEFAULT_BASE_PROFILE, DEFAULT_COOL_BINS, defaultFields } from './defaults.js'
+
+// ---------- Saved scenarios (localStorage) ----------
+//
+// A scenario is { id, name, savedAt, inputs } where `inputs` is the calculator
+// state: { f, useTable, copText, binsText, useCapacity, capText, backup,
+// elecTariff, gasTariff, equipment, baseProfile, location, gridBasis,
+// gridProfile, hybridMode, pvPolicy, pvProfile, coolText, coolBinsText,
+// appliances, incentives }.
+// `location` is a climate
+// station id. Hourly weather files are not stored (too large); a loaded
+// scenario runs on the bins until the file is loaded again.
+
+const KEY = 'heatpump-calculator:scenarios'
+
+export const defaultInputs = () => ({
+  f: defaultFields(),
+  useTable: true,
+  copText: DEFAULT_COP,
+  binsText: DEFAULT_BINS,
+  useCapacity: false,
+  capText: DEFAULT_CAP,
+  backup: 'electric',
+  elecTariff: null,
+  gasTariff: null,
+  equipment: null,
+  baseProfile: DEFAULT_BASE_PROFILE,
+  location: null,
+  gridBasis: 'average',
+  gridProfile: '',
+  hybridMode: 'ideal',
+  pvPolicy: 'retail',
+  pvProfile: '',
+  coolText: '',
+  coolBinsText: DEFAULT_COOL_BINS,
+  appliances: defaultAppliances(),
+  incentives: DEFAULT_INCENTIVES.map(x=>({ ...x })),
+})
+
+// "8.1,7.2,…" → 12 numbers (the engine falls back to flat if it isn't 12)
+export const parseProfile = (txt) => (txt || '').split(/[\s,]+/).filter(Boolean).map(Number)
+
+// Fill anything missing from an older save with today's defaults. Saves from
+// before the incentive list carry a single f.credits amount instead.
+export const withDefaults = (inputs={}) => {
+  const d = defaultInputs()
+  const { credits, ...f } = inputs.f || {}
+  const incentives = inputs.incentives || (credits != null ? legacyCredits(credits) : d.incentives)
+  return { ...d, ...inputs, f: { ...d.f, ...f }, appliances: { ...d.appliances, ...inputs.appliances }, incentives }
+}
+
+// Monthly HDD/CDD and label for a station id; Chicago defaults when unset
+const climateArgs = (id) => {
+  const st = findStation(id)
+  if (!st) return {}
+  const c = climate(st)
+  return { monthlyHDD: c.monthlyHDD, monthlyCDD: c.monthlyCDD, location: { id: st.id, name: st.label, source: st.source } }
+}
+
+// Engine arguments for a set of calculator inputs
+export const calcArgs = (s) => ({
+  f: s.f, useTable: s.useTable, copText: s.copText, binsText: s.binsText,
+  ...(s.useCapacity ? { capText: s.capText, backup: s.backup } : {}),
+  elecTariff: s.elecTariff, gasTariff: s.gasTariff, equipment: s.equipment, hybridMode: s.hybridMode,
+  baseProfile: parseProfile(s.baseProfile),
+  pvPolicy: s.pvPolicy, pvProfile: s.pvProfile ? parseProfile(s.pvProfile) : null,
+  coolText: s.coolText, coolBinsText: s.coolBinsText, appliances: s.appliances, incentives: s.incentives,
+  ...climateArgs(s.location),
+})
+
+export const runScenario = (s) => calculate(calcArgs(withDefaults(s.inputs)))
+
+export const loadScenarios = () => {
+  try {
+    const list = JSON.parse(localStorage.getItem(KEY) || '[]')
+    return Array.isArray(list) ? list : []
+  } catch {
+    return []
+  }
+}
+
+// Full quota or disabled (private-mode) storage throws; the caller shows it
+const store = (list) => {
+  try {
+    localStorage.setItem(KEY, JSON.stringify(list))
+  } catch (e){
+    throw new Error(`Couldn't save to browser storage (${e.name === 'QuotaExceededError' ? 'storage is full; delete some scenarios' : 'storage is unavailable, e.g. in a private window'}).`)
+  }
+  return list
+}
+const newId = () => Date.now().toString(36) + Math.random().toString(36).slice(2, 6)
+
+// Saving under an existing name overwrites that scenario
+export const saveScenario = (name, inputs) => {
+  const list = loadScenarios()
+  const i = list.findIndex(s=>s.name === name)
+  const s = { id: i >= 0 ? list[i].id : newId(), name, savedAt: new Date().toISOString(), inputs }
+  return store(i >= 0 ? list.map((x,j)=>j===i ? s : x) : [...list, s])
+}
+
+export const renameScenario = (id, name) =>
+  store(loadScenarios().map(s=>s.id === id ? { ...s, name } : s))
+
+export const duplicateScenario = (id) => {
+  const list = loadScenarios()
+  const s = list.find(x=>x.id === id)
+  if (!s) return list
+  return store([...list, { ...s, id: newId(), name: `${s.name} (copy)`, savedAt: new Date().toISOString() }])
+}
+
+export const deleteScenario = (id) => store(loadScenarios().filter(s=>s.id !== id))
@@ -0,0 +1,59 @@
+import { num } from './helpers.js'
+import { D } from './defaults.js'
+import { calculate } from './engine.js'
+import { DEFAULT_INCENTIVES, scaleIncentives } from './incentives.js'
+
+// ---------- One-at-a-time sensitivity ----------
+//
+// Each driver is moved down and up by `pct` percent of its current value while
+// everything else stays put. Rate fields only matter with the built-in
+// ComEd / Nicor presets; a loaded tariff file is used as-is. A driver with
+// `apply` changes the engine arguments itself instead of one field.
+
+export const DRIVERS = [
+  { key: 'gasSupply', label: 'Gas supply $/therm' },
+  { key: 'gasDist',   label: 'Gas delivery $/therm' },
+  { key: 'supplyC',   label: 'Electric supply ¢/kWh' },
+  { key: 'dfcNon',    label: 'DFC non-elec ¢/kWh' },
+  { key: 'dfcEH',     label: 'DFC electric-heat ¢/kWh' },
+  { key: 'afue',      label: 'Furnace AFUE', max: 1 },
+  { key: 'heatMMBtu', label: 'Heat load MMBtu' },
+  { key: 'copScale',  label: 'COP scale factor' },
+  { key: 'gross',     label: 'Gross install $' },
+  { key: 'incentives', label: 'Incentive $ amounts', apply: (args, k)=>({ ...args, incentives: scaleIncentives(args.incentives || DEFAULT_INCENTIVES, k) }) },
+]
+
+export const METRICS = [
+  { key: 'savingsAll',    label: 'Annual savings — All-Electric', unit: '$' },
+  { key: 'savingsHybrid', label: 'Annual savings — Hybrid', unit: '$' },
+  { key: 'paybackAll',    label: 'Simple payback — All-Electric', unit: 'yrs' },
+  { key: 'paybackHybrid', label: 'Simple payback — Hybrid', unit: 'yrs' },
+]
+
+const scaled = (f, d, factor) => {
+  const v = num(f[d.key], D[d.key])*factor
+  return { ...f, [d.key]: d.max != null ? Math.min(d.max, v) : v }
+}
+
+// Returns { base, rows } where each row has the low/high engine results and,
+// per metric, the change from base (null when the metric is undefined, e.g. no payback)
+export function sensitivity(args, pct){
+  const x = pct/100
+  const base = calculate(args)
+  const delta = (r, k) => r[k] != null && base[k] != null ? +(r[k] - base[k]).toFixed(1) : null
+  const rows = DRIVERS.map(d=>{
+    const run = (k) => calculate(d.apply ? d.apply(args, k) : { ...args, f: scaled(args.f, d, k) })
+    const low = run(1 - x), high = run(1 + x)
+    return {
+      ...d, low, high,
+      ...Object.fromEntries(METRICS.map(m=>[m.key, { low: delta(low, m.key), high: delta(high, m.key) }])),
+    }
+  })
+  return { base, rows }
+}
+
+// Tornado rows for one metric, widest swing first
+export const tornado = (rows, metric) => rows
+  .map(r=>({ name: r.label, low: r[metric].low, high: r[metric].high }))
+  .filter(r=>r.low != null || r.high != null)
+  .sort((a,b)=>Math.abs((b.high ?? 0) - (b.low ?? 0)) - Math.abs((a.high ?? 0) - (a.low ?? 0)))
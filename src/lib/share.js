@@ -0,0 +1,146 @@
+import { D } from './defaults.js'
+import { pairs } from './helpers.js'
+import { defaultInputs, parseProfile } from './scenarios.js'
+import { parseTariff } from './tariffs.js'
+import { findStation } from './climate.js'
+import { parseFactors } from './emissions.js'
+import { PV_POLICIES } from './solar.js'
+import { encodeAppliances, decodeAppliances } from './appliances.js'
+import { DEFAULT_INCENTIVES, parseIncentives, legacyCredits } from './incentives.js'
+
+// ---------- Shareable links ----------
+//
+// Inputs are encoded as URL search params in the hash, e.g.
+//   /heatpump-calculator/#v=1&kwhBase=97300&supplyC=3.331&…&table=1&cop=60:3.77%0A…
+// The hash never reaches the server, so links work under the GitHub Pages base
+// path and with any static host. `v` marks a share link; links from before the
+// marker are recognized by their `table` param. Any other hash (an in-page
+// anchor, say) is left alone.
+
+export const SHARE_VERSION = 1
+const TEXT = { cop: 'copText', bins: 'binsText', cap: 'capText' }
+
+// Fields every share link has carried. A link missing one of these was cut
+// short and gets a warning; fields added since fall back to their defaults
+// quietly, so older links keep opening cleanly.
+const CORE_FIELDS = ['kwhBase', 'supplyC', 'txC', 'dfcNon', 'dfcEH', 'gasSupply', 'gasDist', 'afue', 'heatMMBtu',
+  'seasonalCOP', 'balancePoint', 'designLoad', 'designTemp', 'gross', 'horizon', 'discountRate', 'elecEsc', 'gasEsc',
+  'equipLife', 'maintBase', 'maintHP', 'maintHybrid', 'replAvoided']
+const COOL_TEXT = { eer: 'coolText', coolBins: 'coolBinsText' }
+
+export function encodeInputs(s){
+  const q = new URLSearchParams()
+  q.set('v', SHARE_VERSION)
+  for (const k of Object.keys(D)) q.set(k, s.f[k])
+  q.set('table', s.useTable ? '1' : '0')
+  q.set('cop', s.copText)
+  q.set('bins', s.binsText)
+  if (s.useCapacity){
+    q.set('cap', s.capText)
+    q.set('backup', s.backup)
+  }
+  if (s.elecTariff) q.set('elecTariff', JSON.stringify(s.elecTariff))
+  if (s.gasTariff) q.set('gasTariff', JSON.stringify(s.gasTariff))
+  if (s.equipment) q.set('equipment', s.equipment)
+  q.set('profile', s.baseProfile)
+  if (s.location) q.set('location', s.location)
+  if (s.gridBasis !== 'average') q.set('grid', s.gridBasis)
+  if (s.hybridMode !== 'ideal') q.set('hybrid', s.hybridMode)
+  if (s.pvPolicy !== 'retail') q.set('pvPolicy', s.pvPolicy)
+  if (s.pvProfile) q.set('pvProfile', s.pvProfile)
+  if (s.gridProfile) q.set('gridProfile', s.gridProfile)
+  if (s.coolText){
+    q.set('eer', s.coolText)
+    q.set('coolBins', s.coolBinsText)
+  }
+  if (encodeAppliances(s.appliances)) q.set('appliances', encodeAppliances(s.appliances))
+  if (JSON.stringify(s.incentives) !== JSON.stringify(DEFAULT_INCENTIVES)) q.set('incentives', JSON.stringify(s.incentives))
+  return q.toString()
+}
+
+export const shareURL = (s, loc=window.location) => `${loc.origin}${loc.pathname}#${encodeInputs(s)}`
+
+// Returns null when the hash is not a share link. Anything unreadable, or a
+// core field missing, falls back to its default one field at a time and is
+// listed in `warnings`.
+export function decodeInputs(hash){
+  const q = new URLSearchParams(hash.replace(/^#/, ''))
+  if (!q.has('v') && !q.has('table')) return null
+  const inputs = defaultInputs()
+  const warnings = []
+
+  const missing = [], invalid = []
+  for (const k of Object.keys(D)){
+    if (!q.has(k)){ if (CORE_FIELDS.includes(k)) missing.push(k); continue }
+    const v = q.get(k)
+    if (v.trim() === '' || !Number.isFinite(+v)) invalid.push(k)
+    else inputs.f[k] = v
+  }
+  if (invalid.length) warnings.push(`Invalid values replaced with defaults: ${invalid.join(', ')}`)
+  if (missing.length) warnings.push(`Missing from link, using defaults: ${missing.join(', ')}`)
+
+  if (q.has('table')) inputs.useTable = q.get('table') !== '0'
+  else warnings.push('Missing from link, using default: COP table mode')
+
+  for (const [param, key] of Object.entries(TEXT)){
+    if (!q.has(param)){ if (param !== 'cap') warnings.push(`Missing from link, using default: ${param} table`); continue }
+    if (pairs(q.get(param)).length) inputs[key] = q.get(param)
+    else warnings.push(`Unreadable ${param} table in link, using default`)
+  }
+  if (q.has('cap')){
+    inputs.useCapacity = true
+    inputs.backup = q.get('backup') === 'gas' ? 'gas' : 'electric'
+  }
+  for (const [param, fuel] of [['elecTariff','electric'], ['gasTariff','gas']]){
+    if (!q.has(param)) continue
+    try { inputs[param] = parseTariff(q.get(param), fuel) }
+    catch (e){ warnings.push(`Unreadable ${fuel} tariff in link (${e.message}), using preset`) }
+  }
+  if (q.has('equipment')) inputs.equipment = q.get('equipment')
+  if (q.has('profile')){
+    const v = parseProfile(q.get('profile'))
+    if (v.length === 12 && v.every(Number.isFinite)) inputs.baseProfile = q.get('profile')
+    else warnings.push('Unreadable monthly kWh profile in link, using default')
+  }
+  if (q.has('location')){
+    if (findStation(q.get('location'))) inputs.location = q.get('location')
+    else warnings.push(`Unknown climate location "${q.get('location')}" in link`)
+  }
+  if (q.has('hybrid')){
+    if (['ideal', 'lockout', 'optimal'].includes(q.get('hybrid'))) inputs.hybridMode = q.get('hybrid')
+    else warnings.push(`Unknown hybrid mode "${q.get('hybrid')}" in link, using ideal switching`)
+  }
+  if (q.has('pvPolicy')){
+    if (PV_POLICIES.some(([k])=>k === q.get('pvPolicy'))) inputs.pvPolicy = q.get('pvPolicy')
+    else warnings.push(`Unknown net-metering policy "${q.get('pvPolicy')}" in link, using full retail`)
+  }
+  if (q.has('pvProfile')){
+    const v = parseProfile(q.get('pvProfile'))
+    if (v.length === 12 && v.every(Number.isFinite)) inputs.pvProfile = q.get('pvProfile')
+    else warnings.push('Unreadable PV production profile in link, using the specific yield')
+  }
+  if (q.has('grid')) inputs.gridBasis = q.get('grid') === 'marginal' ? 'marginal' : 'average'
+  if (q.has('gridProfile')){
+    const v = parseFactors(q.get('gridProfile'))
+    if ([12, 24, 288].includes(v.length) && v.every(Number.isFinite)) inputs.gridProfile = q.get('gridProfile')
+    else warnings.push('Unreadable grid emission factors in link, using the annual factor')
+  }
+  for (const [param, key] of Object.entries(COOL_TEXT)){
+    if (!q.has(param)) continue
+    if (pairs(q.get(param)).length) inputs[key] = q.get(param)
+    else warnings.push(`Unreadable ${param === 'eer' ? 'cooling EER' : 'cooling bins'} table in link, using ${param === 'eer' ? 'the heat pump SEER2' : 'default'}`)
+  }
+  if (q.has('appliances')){
+    inputs.appliances = decodeAppliances(q.get('appliances'))
+    const kept = encodeAppliances(inputs.appliances).split(',').filter(Boolean).length
+    if (kept < q.get('appliances').split(',').filter(Boolean).length) warnings.push(`Some appliance settings in link were not recognized: "${q.get('appliances')}"`)
+  }
+  // Links from before the incentive list carry a single credits amount
+  if (q.has('incentives')){
+    try { inputs.incentives = parseIncentives(q.get('incentives')) }
+    catch (e){ warnings.push(`Unreadable incentive list in link (${e.message}), using defaults`) }
+  } else if (q.has('credits') && Number.isFinite(+q.get('credits'))){
+    inputs.incentives = legacyCredits(q.get('credits'))
+  }
+  return { inputs, warnings }
+}
@@ -0,0 +1,72 @@
+import { num } from './helpers.js'
+import { grid, gridTotal, billMonths } from './tariffs.js'
+
+// ---------- Rooftop solar and net metering ----------
+//
+// PV output is a 12×24 kWh grid (month × hour of day): annual kWh = size (kW)
+// × specific yield (kWh/kW/yr), spread by a monthly shape and a daylight
+// curve. A 12-value profile of kWh per kW per month replaces yield × shape.
+//
+// Net metering policies (usage and production are netted per month × hour
+// cell, which stands in for hour-by-hour netting):
+//   retail  exports offset imports at the full retail rate; netting is monthly
+//           and surplus kWh roll forward within the year (forfeited in Dec)
+//   supply  exports are credited at the tariff's supply/generation charges only
+//   export  exports are credited at a flat export rate (¢/kWh)
+
+export const PV_POLICIES = [
+  ['retail', 'Net metering (full retail)'],
+  ['supply', 'Supply-only credit'],
+  ['export', 'Net billing (export rate)'],
+]
+
+// Share of annual output by month, northern-US latitude (PVWatts-like)
+export const PV_SHAPE = [4.9, 6.3, 8.4, 9.7, 10.8, 11.0, 11.3, 10.4, 8.9, 7.3, 5.0, 4.0]
+
+// Daylight weights by hour: half-sine from 6:00 to 19:00
+const DAY = Array.from({ length: 24 }, (_, h)=>h >= 6 && h < 19 ? Math.sin(Math.PI*(h - 6 + 0.5)/13) : 0)
+const DAY_SUM = DAY.reduce((a,b)=>a + b, 0)
+
+export function pvGrid(kw, yieldPerKW, profile=null){
+  const perKW = Array.isArray(profile) && profile.length === 12
+    ? profile.map(v=>Math.max(0, num(v)))
+    : PV_SHAPE.map(s=>yieldPerKW*s/PV_SHAPE.reduce((a,b)=>a + b, 0))
+  return perKW.map(m=>DAY.map(w=>kw*m*w/DAY_SUM))
+}
+
+// Charges that count as supply/generation for the supply-only credit
+export const supplyCharges = (tariff) =>
+  ({ ...tariff, charges: tariff.charges.filter(c=>/supply|generation/i.test(c.name || '')) })
+
+// Monthly electric bills with PV on the given usage grid
+export function netMeter({ tariff, usage, pv, cls='standard', policy='retail', exportRate=0 }){
+  const imports = usage.map((row, m)=>row.map((q, h)=>Math.max(0, q - pv[m][h])))
+  const exports = usage.map((row, m)=>row.map((q, h)=>Math.max(0, pv[m][h] - q)))
+  const sumRow = (r) => r.reduce((a,b)=>a + b, 0)
+  const exported = gridTotal(exports), imported = gridTotal(imports)
+
+  if (policy === 'retail'){
+    // Scale each month's imports down to its net kWh after exports and carry-over
+    let carry = 0
+    const billed = grid()
+    imports.forEach((row, m)=>{
+      const net = sumRow(row) - sumRow(exports[m]) - carry
+      carry = net < 0 ? -net : 0
+      const k = net > 0 ? net/sumRow(row) : 0
+      row.forEach((q, h)=>{ billed[m][h] = q*k })
+    })
+    return { elecM: billMonths(tariff, billed, cls), imported, exported, credit: null, forfeited: carry }
+  }
+
+  const gross = billMonths(tariff, imports, cls)
+  const credits = policy === 'supply'
+    ? billMonths(supplyCharges(tariff), exports, cls, { variableOnly: true })
+    : exports.map(row=>sumRow(row)*exportRate/100)
+  return {
+    elecM: gross.map((v, m)=>v - credits[m]),
+    imported,
+    exported,
+    credit: credits.reduce((a,b)=>a + b, 0),
+    forfeited: 0,
+  }
+}
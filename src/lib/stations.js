@@ -0,0 +1,251 @@
+// ---------- Bundled climate stations ----------
+//
+// [id, name, state/province, ZIP-3 or FSA prefixes, Jan mean °F, Jul mean °F,
+//  annual HDD65 (°F·day), 99% heating design °F]
+//
+// Approximate, rounded values for screening, not a copy of the published
+// NOAA / ECCC normals or ASHRAE design tables; check those for a specific
+// project, or use an EPW file for a site-specific hourly run.
+
+export const STATIONS = [
+  // Northeast
+  ['bos', 'Boston Logan', 'MA', '021 022 019 020', 30, 74, 5630, 9],
+  ['orh', 'Worcester', 'MA', '015 016', 25, 70, 6800, 2],
+  ['ces', 'Springfield/Westover', 'MA', '010 011', 26, 73, 6200, 3],
+  ['pvd', 'Providence', 'RI', '028 029', 30, 74, 5750, 9],
+  ['bdl', 'Hartford Bradley', 'CT', '060 061 062', 27, 74, 6100, 4],
+  ['bdr', 'Bridgeport', 'CT', '064 065 066 068 069', 31, 75, 5450, 10],
+  ['pwm', 'Portland', 'ME', '039 040 041', 23, 69, 7300, -1],
+  ['bgr', 'Bangor', 'ME', '044', 20, 69, 7900, -7],
+  ['car', 'Caribou', 'ME', '047', 11, 66, 9600, -14],
+  ['mht', 'Manchester', 'NH', '030 031', 25, 72, 6600, 1],
+  ['con', 'Concord', 'NH', '032 033', 22, 70, 7300, -5],
+  ['btv', 'Burlington', 'VT', '050 051 054 056', 20, 71, 7600, -7],
+  ['jfk', 'New York JFK', 'NY', '100 101 102 103 104 110 111 112 113 114 116', 33, 77, 4900, 14],
+  ['alb', 'Albany', 'NY', '120 121 122 123 128', 23, 72, 6700, -1],
+  ['syr', 'Syracuse', 'NY', '130 131 132', 24, 71, 6700, -1],
+  ['roc', 'Rochester', 'NY', '144 145 146', 25, 71, 6600, 3],
+  ['buf', 'Buffalo', 'NY', '140 141 142 143', 25, 71, 6600, 4],
+  ['bgm', 'Binghamton', 'NY', '137 138 139', 22, 68, 7100, -1],
+  ['ewr', 'Newark', 'NJ', '070 071 072 073 074 075 076 077', 32, 78, 4850, 13],
+  ['acy', 'Atlantic City', 'NJ', '080 082 083 084', 34, 76, 4800, 13],
+  ['phl', 'Philadelphia', 'PA', '190 191 193 194', 34, 79, 4400, 15],
+  ['pit', 'Pittsburgh', 'PA', '150 151 152 153 154', 28, 73, 5650, 6],
+  ['abe', 'Allentown', 'PA', '180 181 182', 29, 75, 5500, 8],
+  ['avp', 'Scranton/Wilkes-Barre', 'PA', '184 185 186 187', 26, 72, 6100, 4],
+  ['mdt', 'Harrisburg', 'PA', '170 171 172 173 174', 31, 77, 5000, 11],
+  ['eri', 'Erie', 'PA', '164 165', 27, 71, 6100, 6],
+  ['ipt', 'Williamsport', 'PA', '177', 27, 73, 5900, 4],
+  // Mid-Atlantic & Southeast
+  ['ilg', 'Wilmington', 'DE', '197 198 199', 33, 77, 4650, 14],
+  ['bwi', 'Baltimore BWI', 'MD', '210 211 212 214', 33, 78, 4500, 14],
+  ['dca', 'Washington National', 'DC', '200 202 203 204 205 206 207 208 209 220 222 223', 37, 81, 3800, 18],
+  ['iad', 'Washington Dulles', 'VA', '201 221', 33, 77, 4600, 13],
+  ['ric', 'Richmond', 'VA', '230 231 232', 38, 80, 3800, 18],
+  ['orf', 'Norfolk', 'VA', '233 234 235 236 237', 41, 80, 3300, 23],
+  ['roa', 'Roanoke', 'VA', '240 241', 36, 77, 4100, 16],
+  ['lyh', 'Lynchburg', 'VA', '245', 35, 76, 4200, 15],
+  ['crw', 'Charleston', 'WV', '250 251 252 253', 34, 75, 4500, 11],
+  ['ckb', 'Clarksburg', 'WV', '263 264', 31, 73, 5100, 8],
+  ['clt', 'Charlotte', 'NC', '280 281 282', 42, 80, 3100, 22],
+  ['rdu', 'Raleigh-Durham', 'NC', '275 276 277', 41, 80, 3300, 20],
+  ['gso', 'Greensboro', 'NC', '270 271 272 273 274', 39, 78, 3700, 19],
+  ['avl', 'Asheville', 'NC', '287 288 289', 38, 73, 4100, 15],
+  ['ilm', 'Wilmington', 'NC', '284', 47, 81, 2300, 27],
+  ['cae', 'Columbia', 'SC', '290 291 292', 46, 83, 2500, 25],
+  ['chs', 'Charleston', 'SC', '294', 49, 82, 1900, 29],
+  ['gsp', 'Greenville-Spartanburg', 'SC', '293 296', 43, 80, 3000, 22],
+  ['atl', 'Atlanta', 'GA', '300 301 302 303', 44, 81, 2700, 23],
+  ['sav', 'Savannah', 'GA', '313 314', 51, 83, 1700, 30],
+  ['ags', 'Augusta', 'GA', '308 309', 46, 82, 2400, 25],
+  ['mcn', 'Macon', 'GA', '310 312', 47, 82, 2200, 26],
+  ['jax', 'Jacksonville', 'FL', '320 322', 55, 83, 1250, 33],
+  ['tlh', 'Tallahassee', 'FL', '323', 53, 83, 1500, 29],
+  ['mco', 'Orlando', 'FL', '327 328 347', 61, 83, 550, 40],
+  ['tpa', 'Tampa', 'FL', '335 336 337 346', 62, 84, 500, 41],
+  ['mia', 'Miami', 'FL', '330 331 332 333', 69, 84, 100, 48],
+  ['pns', 'Pensacola', 'FL', '325', 53, 83, 1500, 30],
+  ['bhm', 'Birmingham', 'AL', '350 351 352', 44, 81, 2700, 22],
+  ['hsv', 'Huntsville', 'AL', '356 357 358', 41, 80, 3200, 19],
+  ['mob', 'Mobile', 'AL', '365 366', 52, 82, 1650, 29],
+  ['mgm', 'Montgomery', 'AL', '360 361', 48, 82, 2150, 25],
+  ['jan', 'Jackson', 'MS', '390 391 392', 47, 82, 2250, 24],
+  ['tup', 'Tupelo', 'MS', '388', 42, 81, 2900, 20],
+  ['msy', 'New Orleans', 'LA', '700 701', 54, 83, 1400, 33],
+  ['btr', 'Baton Rouge', 'LA', '707 708', 52, 83, 1600, 30],
+  ['shv', 'Shreveport', 'LA', '710 711', 48, 84, 2200, 25],
+  ['lch', 'Lake Charles', 'LA', '706', 53, 83, 1500, 31],
+  // South Central
+  ['bna', 'Nashville', 'TN', '370 371 372', 39, 80, 3600, 16],
+  ['mem', 'Memphis', 'TN', '380 381', 42, 83, 3000, 19],
+  ['tys', 'Knoxville', 'TN', '377 378 379', 39, 78, 3600, 17],
+  ['cha', 'Chattanooga', 'TN', '373 374', 41, 80, 3300, 19],
+  ['tri', 'Bristol/Tri-Cities', 'TN', '376', 35, 74, 4300, 13],
+  ['sdf', 'Louisville', 'KY', '400 401 402', 35, 80, 4200, 10],
+  ['lex', 'Lexington', 'KY', '403 404 405', 34, 77, 4500, 9],
+  ['pah', 'Paducah', 'KY', '420', 36, 80, 3900, 11],
+  ['lit', 'Little Rock', 'AR', '720 721 722', 42, 83, 2950, 20],
+  ['fsm', 'Fort Smith', 'AR', '729', 40, 83, 3300, 16],
+  ['xna', 'Fayetteville', 'AR', '727', 36, 78, 4000, 10],
+  ['okc', 'Oklahoma City', 'OK', '730 731', 39, 83, 3500, 13],
+  ['tul', 'Tulsa', 'OK', '740 741', 38, 84, 3500, 13],
+  ['dfw', 'Dallas-Fort Worth', 'TX', '750 751 752 760 761', 46, 86, 2250, 22],
+  ['iah', 'Houston', 'TX', '770 772 773 774 775', 53, 85, 1350, 32],
+  ['aus', 'Austin', 'TX', '786 787', 51, 86, 1600, 28],
+  ['sat', 'San Antonio', 'TX', '780 781 782', 52, 86, 1500, 29],
+  ['elp', 'El Paso', 'TX', '798 799', 46, 84, 2450, 24],
+  ['ama', 'Amarillo', 'TX', '790 791', 37, 78, 4200, 8],
+  ['lbb', 'Lubbock', 'TX', '793 794', 40, 80, 3400, 14],
+  ['maf', 'Midland', 'TX', '797', 45, 83, 2600, 19],
+  ['crp', 'Corpus Christi', 'TX', '783 784', 57, 85, 900, 35],
+  ['bro', 'Brownsville', 'TX', '785', 61, 85, 550, 40],
+  ['act', 'Waco', 'TX', '765 766 767', 47, 86, 2100, 24],
+  // Midwest
+  ['ord', "Chicago O'Hare", 'IL', '600 601 602 603 604 605 606 607 608', 25, 75, 6350, -4],
+  ['mdw', 'Chicago Midway', 'IL', '609', 27, 76, 5950, -1],
+  ['rfd', 'Rockford', 'IL', '610 611', 22, 74, 6700, -6],
+  ['pia', 'Peoria', 'IL', '614 615 616', 25, 76, 6000, -4],
+  ['spi', 'Springfield', 'IL', '625 626 627', 27, 77, 5500, -1],
+  ['mli', 'Moline/Quad Cities', 'IL', '612', 23, 76, 6300, -6],
+  ['cmi', 'Champaign', 'IL', '617 618 619', 27, 76, 5650, -2],
+  ['stl', 'St. Louis', 'MO', '630 631 633', 32, 80, 4650, 4],
+  ['mci', 'Kansas City', 'MO', '640 641 644 645', 28, 79, 5100, 2],
+  ['sgf', 'Springfield', 'MO', '656 657 658', 34, 78, 4500, 6],
+  ['cou', 'Columbia', 'MO', '650 651 652', 30, 78, 5000, 2],
+  ['ind', 'Indianapolis', 'IN', '460 461 462', 28, 76, 5500, 1],
+  ['fwa', 'Fort Wayne', 'IN', '467 468', 25, 74, 6200, -2],
+  ['sbn', 'South Bend', 'IN', '465 466', 25, 73, 6300, -1],
+  ['evv', 'Evansville', 'IN', '476 477', 33, 79, 4500, 7],
+  ['cmh', 'Columbus', 'OH', '430 431 432', 29, 75, 5500, 3],
+  ['cle', 'Cleveland', 'OH', '440 441', 28, 74, 6000, 3],
+  ['cvg', 'Cincinnati', 'OH', '450 451 452', 30, 76, 5000, 4],
+  ['day', 'Dayton', 'OH', '453 454', 28, 75, 5600, 1],
+  ['tol', 'Toledo', 'OH', '434 435 436', 25, 74, 6300, 0],
+  ['cak', 'Akron-Canton', 'OH', '442 443 446 447', 27, 72, 6100, 3],
+  ['yng', 'Youngstown', 'OH', '444 445', 26, 71, 6400, 1],
+  ['dtw', 'Detroit', 'MI', '480 481 482 483', 26, 74, 6200, 3],
+  ['grr', 'Grand Rapids', 'MI', '493 494 495', 25, 73, 6600, 1],
+  ['lan', 'Lansing', 'MI', '488 489', 23, 71, 6900, -1],
+  ['fnt', 'Flint', 'MI', '484 485', 23, 72, 6900, -1],
+  ['tvc', 'Traverse City', 'MI', '496 497', 22, 70, 7600, -1],
+  ['mqt', 'Marquette', 'MI', '498 499', 15, 66, 8900, -12],
+  ['mke', 'Milwaukee', 'WI', '530 531 532', 23, 73, 6900, -4],
+  ['msn', 'Madison', 'WI', '535 537', 19, 73, 7300, -9],
+  ['grb', 'Green Bay', 'WI', '541 542 543', 17, 71, 7800, -10],
+  ['lse', 'La Crosse', 'WI', '546', 17, 74, 7100, -12],
+  ['auw', 'Wausau', 'WI', '544 545', 14, 70, 8300, -14],
+  ['msp', 'Minneapolis-St. Paul', 'MN', '550 551 553 554 555', 16, 74, 7600, -12],
+  ['rst', 'Rochester', 'MN', '559', 14, 71, 8000, -14],
+  ['dlh', 'Duluth', 'MN', '556 557 558', 10, 67, 9500, -18],
+  ['stc', 'St. Cloud', 'MN', '563', 11, 71, 8600, -17],
+  ['inl', 'International Falls', 'MN', '566', 4, 66, 10300, -26],
+  ['dsm', 'Des Moines', 'IA', '500 501 502 503 509', 22, 76, 6300, -7],
+  ['cid', 'Cedar Rapids', 'IA', '522 523 524', 19, 74, 6900, -10],
+  ['dvn', 'Davenport', 'IA', '527 528', 22, 75, 6400, -6],
+  ['sux', 'Sioux City', 'IA', '510 511', 20, 75, 6900, -9],
+  ['wat', 'Waterloo', 'IA', '506 507', 17, 74, 7300, -12],
+  ['oma', 'Omaha', 'NE', '680 681', 23, 77, 6100, -5],
+  ['lnk', 'Lincoln', 'NE', '683 684 685', 24, 77, 6000, -4],
+  ['gri', 'Grand Island', 'NE', '688', 25, 76, 6200, -5],
+  ['lbf', 'North Platte', 'NE', '691', 25, 74, 6700, -6],
+  ['ict', 'Wichita', 'KS', '670 671 672', 32, 81, 4700, 5],
+  ['top', 'Topeka', 'KS', '664 665 666', 29, 79, 5100, 2],
+  ['ddc', 'Dodge City', 'KS', '678', 31, 79, 5000, 3],
+  ['fsd', 'Sioux Falls', 'SD', '570 571', 16, 73, 7700, -11],
+  ['rap', 'Rapid City', 'SD', '577', 24, 72, 7000, -6],
+  ['abr', 'Aberdeen', 'SD', '574', 12, 72, 8300, -17],
+  ['far', 'Fargo', 'ND', '580 581', 8, 71, 8900, -19],
+  ['bis', 'Bismarck', 'ND', '585', 12, 71, 8600, -18],
+  ['mot', 'Minot', 'ND', '587', 10, 69, 9100, -19],
+  ['gfk', 'Grand Forks', 'ND', '582', 6, 69, 9400, -21],
+  // Mountain
+  ['den', 'Denver', 'CO', '800 801 802 803 804', 31, 74, 6000, 1],
+  ['cos', 'Colorado Springs', 'CO', '808 809', 31, 71, 6300, 2],
+  ['gjt', 'Grand Junction', 'CO', '815', 28, 79, 5500, 7],
+  ['pub', 'Pueblo', 'CO', '810', 31, 77, 5400, 0],
+  ['ase', 'Aspen', 'CO', '816', 19, 62, 9800, -9],
+  ['cys', 'Cheyenne', 'WY', '820', 28, 68, 7200, -3],
+  ['cpr', 'Casper', 'WY', '826', 25, 71, 7500, -9],
+  ['jac', 'Jackson Hole', 'WY', '830 831', 15, 62, 9900, -17],
+  ['bil', 'Billings', 'MT', '590 591', 27, 73, 6800, -10],
+  ['mso', 'Missoula', 'MT', '598', 25, 68, 7600, -6],
+  ['gtf', 'Great Falls', 'MT', '594', 24, 69, 7600, -16],
+  ['hln', 'Helena', 'MT', '596', 22, 69, 7800, -14],
+  ['bzn', 'Bozeman', 'MT', '597', 22, 66, 8300, -14],
+  ['boi', 'Boise', 'ID', '836 837', 32, 77, 5500, 9],
+  ['pih', 'Pocatello', 'ID', '832', 25, 71, 7000, -3],
+  ['coe', "Coeur d'Alene", 'ID', '838', 29, 69, 6700, 4],
+  ['slc', 'Salt Lake City', 'UT', '840 841', 31, 82, 5300, 8],
+  ['pvu', 'Provo', 'UT', '846', 29, 76, 5800, 5],
+  ['cdc', 'Cedar City', 'UT', '847', 31, 74, 5900, 5],
+  ['phx', 'Phoenix', 'AZ', '850 852 853', 57, 95, 900, 36],
+  ['tus', 'Tucson', 'AZ', '856 857', 53, 88, 1400, 31],
+  ['flg', 'Flagstaff', 'AZ', '860', 31, 67, 6900, 4],
+  ['prc', 'Prescott', 'AZ', '863', 39, 75, 4500, 17],
+  ['abq', 'Albuquerque', 'NM', '870 871', 37, 79, 4200, 16],
+  ['saf', 'Santa Fe', 'NM', '875', 31, 70, 6000, 7],
+  ['row', 'Roswell', 'NM', '882', 41, 81, 3400, 18],
+  ['las', 'Las Vegas', 'NV', '889 890 891', 48, 92, 2100, 28],
+  ['rno', 'Reno', 'NV', '894 895', 35, 74, 5200, 13],
+  ['eko', 'Elko', 'NV', '898', 25, 71, 7100, -5],
+  // Pacific
+  ['sea', 'Seattle-Tacoma', 'WA', '980 981 983 984', 42, 67, 4700, 26],
+  ['geg', 'Spokane', 'WA', '990 991 992', 28, 70, 6800, 3],
+  ['olm', 'Olympia', 'WA', '985', 40, 63, 5500, 21],
+  ['yki', 'Yakima', 'WA', '989', 30, 71, 6000, 6],
+  ['bli', 'Bellingham', 'WA', '982', 40, 63, 5700, 19],
+  ['pdx', 'Portland', 'OR', '970 971 972', 42, 70, 4300, 24],
+  ['eug', 'Eugene', 'OR', '973 974', 41, 67, 4700, 22],
+  ['mfr', 'Medford', 'OR', '975', 40, 74, 4400, 22],
+  ['bdn', 'Bend', 'OR', '977', 33, 66, 6700, 6],
+  ['sfo', 'San Francisco', 'CA', '940 941 943 944', 50, 63, 2700, 38],
+  ['oak', 'Oakland', 'CA', '945 946 947', 51, 65, 2500, 36],
+  ['sjc', 'San Jose', 'CA', '950 951', 51, 70, 2100, 34],
+  ['sac', 'Sacramento', 'CA', '956 957 958', 47, 76, 2500, 31],
+  ['fat', 'Fresno', 'CA', '936 937', 47, 83, 2300, 31],
+  ['lax', 'Los Angeles', 'CA', '900 901 902 903 904 905 906 907 908 910 911 912', 58, 71, 1100, 43],
+  ['san', 'San Diego', 'CA', '919 920 921', 58, 71, 1000, 44],
+  ['riv', 'Riverside', 'CA', '922 925', 55, 80, 1400, 35],
+  ['bfl', 'Bakersfield', 'CA', '932 933', 48, 84, 2000, 32],
+  ['rdd', 'Redding', 'CA', '960', 46, 83, 2600, 28],
+  ['trk', 'Truckee', 'CA', '961', 27, 62, 8100, -2],
+  ['anc', 'Anchorage', 'AK', '995', 17, 59, 10000, -14],
+  ['fai', 'Fairbanks', 'AK', '997', -8, 62, 13600, -44],
+  ['jnu', 'Juneau', 'AK', '998', 28, 58, 8500, 4],
+  ['hnl', 'Honolulu', 'HI', '967 968', 73, 81, 0, 62],
+  // Canada (prefixes are postal FSAs)
+  ['yyz', 'Toronto Pearson', 'ON', 'M L4 L5 L6', 22, 72, 7000, -1],
+  ['yow', 'Ottawa', 'ON', 'K1 K2', 13, 71, 8200, -13],
+  ['ygk', 'Kingston', 'ON', 'K7', 17, 69, 7600, -7],
+  ['yhm', 'Hamilton', 'ON', 'L8 L9', 22, 70, 7100, -1],
+  ['yxu', 'London', 'ON', 'N5 N6', 22, 70, 7200, 0],
+  ['yqg', 'Windsor', 'ON', 'N8 N9', 25, 74, 6400, 3],
+  ['ysb', 'Sudbury', 'ON', 'P3', 7, 66, 9600, -19],
+  ['yqt', 'Thunder Bay', 'ON', 'P7', 5, 64, 10200, -23],
+  ['yul', 'Montréal', 'QC', 'H', 14, 71, 8000, -11],
+  ['yqb', 'Québec City', 'QC', 'G1 G2', 9, 67, 9100, -16],
+  ['ysc', 'Sherbrooke', 'QC', 'J1', 10, 66, 9000, -18],
+  ['yvo', "Val-d'Or", 'QC', 'J9', 0, 63, 11000, -28],
+  ['yhz', 'Halifax', 'NS', 'B3', 23, 66, 7300, 1],
+  ['yqy', 'Sydney', 'NS', 'B1', 22, 64, 7900, 1],
+  ['yfc', 'Fredericton', 'NB', 'E3', 15, 67, 8300, -12],
+  ['yqm', 'Moncton', 'NB', 'E1', 16, 66, 8300, -9],
+  ['ysj', 'Saint John', 'NB', 'E2', 18, 62, 8400, -7],
+  ['yyg', 'Charlottetown', 'PE', 'C1', 17, 66, 8300, -4],
+  ['yyt', "St. John's", 'NL', 'A1', 25, 61, 8700, 7],
+  ['ywg', 'Winnipeg', 'MB', 'R2 R3', 1, 67, 10500, -27],
+  ['ybr', 'Brandon', 'MB', 'R7', 1, 66, 10700, -29],
+  ['yqr', 'Regina', 'SK', 'S4', 4, 66, 10500, -29],
+  ['yxe', 'Saskatoon', 'SK', 'S7', 3, 66, 10600, -31],
+  ['yyc', 'Calgary', 'AB', 'T2 T3', 18, 62, 9000, -21],
+  ['yeg', 'Edmonton', 'AB', 'T5 T6', 10, 63, 9800, -26],
+  ['yqu', 'Grande Prairie', 'AB', 'T8V T8W T8X', 7, 61, 10500, -31],
+  ['yql', 'Lethbridge', 'AB', 'T1H T1J T1K', 22, 65, 8300, -20],
+  ['yvr', 'Vancouver', 'BC', 'V5 V6 V7', 39, 64, 5300, 19],
+  ['yyj', 'Victoria', 'BC', 'V8 V9A', 41, 62, 5200, 23],
+  ['ylw', 'Kelowna', 'BC', 'V1V V1W V1X V1Y V1Z', 27, 69, 7200, 0],
+  ['yxs', 'Prince George', 'BC', 'V2K V2L V2M V2N', 15, 60, 9300, -22],
+  ['yxx', 'Abbotsford', 'BC', 'V2S V2T', 38, 64, 5600, 14],
+  ['yxy', 'Whitehorse', 'YT', 'Y1A', -1, 58, 12500, -36],
+  ['yzf', 'Yellowknife', 'NT', 'X1A', -15, 62, 14800, -41],
+]
@@ -0,0 +1,150 @@
+// ---------- Utility tariffs ----------
+//
+// Tariff JSON format:
+//   {
+//     "name": "ComEd residential",
+//     "fuel": "electric" | "gas",          // priced per kWh or per therm
+//     "charges": [Charge, ...]
+//   }
+//
+// A Charge is a rate spec plus a name; a rate spec is exactly one of
+//   { "monthly": 15.5 }                            fixed $/month
+//   { "rate": 0.0333 }                             flat $/unit
+//   { "tiers": [{ "upTo": 500, "rate": 0.05 },     monthly blocks; the last
+//               { "rate": 0.07 }] }                tier has no upTo
+//   { "rate": 0.04, "tou": [{ "hours": [14,15,16,17,18], "rate": 0.12 }] }
+//                                                  time-of-use by hour (0–23);
+//                                                  hours not listed pay "rate"
+//   { "seasons": [{ "months": [6,7,8,9], ...spec }, { "months": [...], ...spec }] }
+//                                                  months 1–12; months not listed
+//                                                  cost nothing for this charge
+// and may carry
+//   "classes": { "electricHeat": spec }            replaces the spec for customers
+//                                                  on the electric space-heat class
+//
+// Usage is a 12×24 grid (month × hour of day) of kWh or therms.
+
+export const RATE_CLASSES = ['standard', 'electricHeat']
+
+export const grid = () => Array.from({length:12}, ()=>Array(24).fill(0))
+export const gridTotal = (g) => g.reduce((k,row)=>k + row.reduce((a,b)=>a+b, 0), 0)
+
+const tiered = (qty, tiers) => {
+  let cost = 0, prev = 0
+  for (const t of tiers){
+    const top = t.upTo ?? Infinity
+    if (qty <= prev) break
+    cost += (Math.min(qty, top) - prev)*t.rate
+    prev = top
+  }
+  return cost
+}
+
+const specFor = (charge, cls) => charge.classes?.[cls] ?? charge
+
+// $ per month (12 entries) for one charge
+const chargeMonths = (spec, usage, variableOnly) => usage.map((row, m)=>{
+  const s = spec.seasons ? spec.seasons.find(x=>x.months.includes(m+1)) : spec
+  if (!s) return 0
+  if (s.monthly != null) return variableOnly ? 0 : s.monthly
+  const qty = row.reduce((a,b)=>a+b, 0)
+  if (s.tiers) return tiered(qty, s.tiers)
+  if (s.tou) return row.reduce((k,q,h)=>k + q*(s.tou.find(p=>p.hours.includes(h))?.rate ?? s.rate ?? 0), 0)
+  return qty*(s.rate ?? 0)
+})
+
+// Monthly bills ($, Jan–Dec) for a usage grid on the given rate class
+export const billMonths = (tariff, usage, cls='standard', { variableOnly=false } = {}) =>
+  tariff.charges.reduce((acc,c)=>{
+    chargeMonths(specFor(c, cls), usage, variableOnly).forEach((v,m)=>{ acc[m] += v })
+    return acc
+  }, Array(12).fill(0))
+
+// Annual bill ($) for a usage grid on the given rate class
+export const bill = (tariff, usage, cls='standard', opts) =>
+  billMonths(tariff, usage, cls, opts).reduce((a,b)=>a+b, 0)
+
+// Average energy-only $/unit for a usage grid; falls back to a 1-unit flat load
+export const avgRate = (tariff, usage, cls='standard') => {
+  const q = gridTotal(usage)
+  if (q > 0) return bill(tariff, usage, cls, { variableOnly: true })/q
+  const one = grid().map(r=>r.map(()=>1/288))
+  return bill(tariff, one, cls, { variableOnly: true })
+}
+
+// ---------- Built-in presets (reproduce the form's ¢/kWh and $/therm fields) ----------
+export const comedTariff = (p) => ({
+  name: 'ComEd residential',
+  fuel: 'electric',
+  charges: [
+    { name: 'Supply', rate: p.supplyC/100 },
+    { name: 'Transmission', rate: p.txC/100 },
+    { name: 'Distribution facilities charge', rate: p.dfcNon/100, classes: { electricHeat: { rate: p.dfcEH/100 } } },
+  ],
+})
+
+export const nicorTariff = (p) => ({
+  name: 'Nicor Gas residential',
+  fuel: 'gas',
+  charges: [
+    { name: 'Gas supply', rate: p.gasSupply },
+    { name: 'Delivery', rate: p.gasDist },
+    { name: 'Customer charge', monthly: p.gasFixed },
+  ],
+})
+
+// ---------- Validation for user-supplied tariff files ----------
+const checkSpec = (s, where) => {
+  const kinds = ['monthly','tiers','seasons'].filter(k=>s[k] != null)
+  if (s.tou != null) kinds.push('tou')
+  else if (s.rate != null) kinds.push('rate')
+  if (kinds.length !== 1) throw new Error(`${where}: needs exactly one of monthly, rate, tiers, tou, seasons`)
+  const finite = (v, what) => { if (!Number.isFinite(v)) throw new Error(`${where}: ${what} must be a number`) }
+  if (s.monthly != null) finite(s.monthly, 'monthly')
+  if (s.rate != null) finite(s.rate, 'rate')
+  if (s.tiers){
+    if (!Array.isArray(s.tiers) || !s.tiers.length) throw new Error(`${where}: tiers must be a non-empty array`)
+    s.tiers.forEach((t,i)=>{ finite(t.rate, `tiers[${i}].rate`); if (i < s.tiers.length-1) finite(t.upTo, `tiers[${i}].upTo`) })
+  }
+  if (s.tou){
+    if (!Array.isArray(s.tou)) throw new Error(`${where}: tou must be an array`)
+    s.tou.forEach((t,i)=>{ finite(t.rate, `tou[${i}].rate`); if (!Array.isArray(t.hours)) throw new Error(`${where}: tou[${i}].hours must be an array`) })
+  }
+  if (s.seasons){
+    if (!Array.isArray(s.seasons)) throw new Error(`${where}: seasons must be an array`)
+    s.seasons.forEach((x,i)=>{
+      if (!Array.isArray(x.months)) throw new Error(`${where}: seasons[${i}].months must be an array`)
+      const { months, name, ...rest } = x
+      checkSpec(rest, `${where} seasons[${i}]`)
+    })
+  }
+}
+
+export function parseTariff(text, fuel){
+  const t = JSON.parse(text)
+  if (!t || !Array.isArray(t.charges)) throw new Error('Tariff needs a "charges" array')
+  if (fuel && t.fuel !== fuel) throw new Error(`Expected a ${fuel} tariff, got "${t.fuel}"`)
+  t.charges.forEach((c,i)=>{
+    const where = c.name || `charges[${i}]`
+    const { name, classes, ...spec } = c
+    checkSpec(spec, where)
+    for (const [cls, s] of Object.entries(classes || {})){
+      if (!RATE_CLASSES.includes(cls)) throw new Error(`${where}: unknown rate class "${cls}"`)
+      checkSpec(s, `${where} (${cls})`)
+    }
+  })
+  return { name: t.name || 'Custom tariff', ...t }
+}
+
+// Copy of a tariff with every energy rate multiplied by k (fixed charges unchanged)
+export const scaleTariff = (tariff, k) => {
+  const scaleSpec = (s) => ({
+    ...s,
+    ...(s.rate != null ? { rate: s.rate*k } : {}),
+    ...(s.tiers ? { tiers: s.tiers.map(t=>({ ...t, rate: t.rate*k })) } : {}),
+    ...(s.tou ? { tou: s.tou.map(t=>({ ...t, rate: t.rate*k })) } : {}),
+    ...(s.seasons ? { seasons: s.seasons.map(scaleSpec) } : {}),
+    ...(s.classes ? { classes: Object.fromEntries(Object.entries(s.classes).map(([c,x])=>[c, scaleSpec(x)])) } : {}),
+  })
+  return { ...tariff, charges: tariff.charges.map(scaleSpec) }
+}
@@ -0,0 +1,227 @@
+import { D, MONTHLY_CDD } from './defaults.js'
+import { checkIncentive } from './incentives.js'
+import { MONTHS, shares } from './engine.js'
+import { findStation, climate } from './climate.js'
+
+// ---------- Input validation ----------
+//
+// The engine coerces anything unparseable back to the defaults (num/pairs), so
+// a typo like "0,52" would quietly price gas at the default. The UI runs
+// validateInputs() first and refuses to show results while anything fails.
+//
+// validateInputs(inputs) → {
+//   fields:  { key: message } for form fields that fail their rule
+//   cop, bins, cap, eer, coolBins: [{ line, message }] for bad rows in the textareas
+//   profile: message or null
+//   gridProfile, pvProfile: message or null
+//   incentives: messages for incentive entries that are incomplete or malformed
+//   count:   total number of problems
+//   ok:      count === 0
+// }
+
+// [label, min, max, options]; `gt` makes the minimum exclusive
+export const RULES = {
+  kwhBase:      ['Annual non-heating kWh', 0, 1e7],
+  supplyC:      ['Electric supply', 0, 200],
+  txC:          ['Transmission', 0, 200],
+  dfcNon:       ['DFC non-elec', 0, 200],
+  dfcEH:        ['DFC electric-heat', 0, 200],
+  gasSupply:    ['Gas supply', 0, 20],
+  gasDist:      ['Gas delivery', 0, 20],
+  gasFixed:     ['Gas customer charge', 0, 500],
+  afue:         ['AFUE', 0, 1, { gt: true }],
+  heatMMBtu:    ['Heat load', 0, 2000],
+  seasonalCOP:  ['Seasonal COP', 0, 10, { gt: true }],
+  copScale:     ['COP scale factor', 0, 5, { gt: true }],
+  balancePoint: ['Balance point', 30, 80],
+  designLoad:   ['Design heat loss', 0, 1e6],
+  designTemp:   ['Design temp', -60, 70],
+  lockoutTemp:  ['Lockout temp', -60, 80],
+  gross:        ['Gross install', 0, 1e7],
+  hpTons:       ['Heat pump size', 0, 50],
+  incomePct:    ['Household income', 0, 1000],
+  horizon:      ['Horizon', 1, 60, { integer: true }],
+  discountRate: ['Discount rate', -10, 50],
+  elecEsc:      ['Electric escalation', -20, 30],
+  gasEsc:       ['Gas escalation', -20, 30],
+  equipLife:    ['Equipment life', 1, 60, { integer: true }],
+  maintBase:    ['Maint. baseline', 0, 1e5],
+  maintHP:      ['Maint. all-electric', 0, 1e5],
+  maintHybrid:  ['Maint. hybrid', 0, 1e5],
+  replAvoided:  ['Replacement cost avoided', 0, 1e7],
+  gasCO2:       ['Gas emissions factor', 0, 20],
+  methaneLeak:  ['Methane leakage', 0, 20],
+  gridAvg:      ['Grid average factor', 0, 2],
+  gridMarginal: ['Grid marginal factor', 0, 2],
+  pvKW:         ['PV size', 0, 1000],
+  pvYield:      ['PV specific yield', 0, 3000],
+  pvCost:       ['PV cost', 0, 1e7],
+  pvCredits:    ['PV credits', 0, 1e7],
+  pvExportRate: ['Export rate', 0, 200],
+  coolLoad:     ['Cooling load', 0, 2000],
+  acSEER:       ['Existing AC SEER', 0, 40, { gt: true }],
+  hpSEER:       ['Heat pump SEER2', 0, 40, { gt: true }],
+  hwGallons:    ['Hot water use', 0, 1000],
+  gasWhUEF:     ['Gas water heater UEF', 0, 1.2, { gt: true }],
+  hpwhUEF:      ['HPWH UEF', 0, 6, { gt: true }],
+  hpwhCost:     ['HPWH cost', 0, 1e6],
+  hpwhCredits:  ['HPWH credits', 0, 1e6],
+  rangeTherms:  ['Range gas use', 0, 1000],
+  rangeCost:    ['Induction range cost', 0, 1e6],
+  rangeCredits: ['Induction range credits', 0, 1e6],
+  dryerLoads:   ['Dryer loads', 0, 2000],
+  hpDryerKWh:   ['Heat pump dryer kWh/load', 0, 10],
+  dryerCost:    ['Heat pump dryer cost', 0, 1e6],
+  dryerCredits: ['Heat pump dryer credits', 0, 1e6],
+}
+
+// Bins are normalized, but a total far from 100% usually means a typo
+export const BIN_SUM = [90, 110]
+
+const notNumber = (v) => /\d,\d/.test(v)
+  ? `"${v}" is not a number (use a period for decimals)`
+  : `"${v}" is not a number`
+
+// Parse a numeric string strictly: blank, "12abc" and "0,52" all fail
+const strict = (v) => {
+  const s = String(v ?? '').trim()
+  return s === '' ? NaN : Number(s)
+}
+
+export function checkField(key, value){
+  const [, min, max, { gt=false, integer=false } = {}] = RULES[key] || []
+  if (String(value ?? '').trim() === '') return 'Required'
+  const v = strict(value)
+  if (!Number.isFinite(v)) return notNumber(String(value).trim())
+  if (min == null) return null
+  if (gt ? v <= min : v < min) return gt ? `Must be greater than ${min}` : `Must be at least ${min}`
+  if (v > max) return `Must be at most ${max}`
+  if (integer && !Number.isInteger(v)) return 'Must be a whole number'
+  return null
+}
+
+export const validateFields = (f={}) => Object.fromEntries(
+  Object.keys(D).map(k=>[k, checkField(k, f[k])]).filter(([, m])=>m)
+)
+
+// Same splitting as pairs() (newlines and commas), keeping line numbers.
+// `positive` requires value > 0, otherwise value ≥ 0.
+export function checkTable(txt, { value='value', positive=false } = {}){
+  const rows = [], errors = []
+  const seen = new Map()
+  String(txt ?? '').split('\n').forEach((ln, i)=>{
+    const line = i + 1
+    ln.split(',').map(s=>s.trim()).filter(Boolean).forEach(p=>{
+      const parts = p.split(':').map(s=>s.trim())
+      if (parts.length !== 2) return errors.push({ line, message: `"${p}" should be °F:${value}` })
+      const [x, y] = parts.map(strict)
+      if (!Number.isFinite(x)) return errors.push({ line, message: `Temperature "${parts[0]}" is not a number` })
+      if (!Number.isFinite(y)) return errors.push({ line, message: `${value} "${parts[1]}" is not a number` })
+      if (positive ? y <= 0 : y < 0) return errors.push({ line, message: `${value} must be ${positive ? 'greater than 0' : '0 or more'}` })
+      if (seen.has(x)) return errors.push({ line, message: `Duplicate temperature ${x}°F (also on line ${seen.get(x)})` })
+      seen.set(x, line)
+      rows.push({ x, y })
+    })
+  })
+  if (!rows.length && !errors.length) errors.push({ line: 1, message: 'Enter at least one row' })
+  return { rows, errors }
+}
+
+export const checkCOP = (txt) => checkTable(txt, { value: 'COP', positive: true }).errors
+export const checkCapacity = (txt) => checkTable(txt, { value: 'Capacity', positive: true }).errors
+export const checkEER = (txt) => checkTable(txt, { value: 'EER', positive: true }).errors
+
+export function checkBins(txt){
+  const { rows, errors } = checkTable(txt, { value: 'Percent' })
+  if (errors.length) return errors
+  const sum = rows.reduce((a,r)=>a + r.y, 0)
+  if (sum < BIN_SUM[0] || sum > BIN_SUM[1]){
+    errors.push({ line: null, message: `Bins add up to ${Math.round(sum*10)/10}%; expected about 100%` })
+  }
+  return errors
+}
+
+export function checkProfile(txt){
+  const parts = String(txt ?? '').split(/[\s,]+/).filter(Boolean)
+  if (parts.length !== 12) return `Needs 12 values (found ${parts.length})`
+  const bad = parts.find(p=>!Number.isFinite(strict(p)) || strict(p) < 0)
+  return bad != null ? `"${bad}" is not a non-negative number` : null
+}
+
+// Optional grid emission factors: blank, or 12 / 24 / 288 values
+export function checkFactors(txt){
+  const parts = String(txt ?? '').split(/[\s,]+/).filter(Boolean)
+  if (parts.length && ![12, 24, 288].includes(parts.length)) return `Needs 12, 24 or 288 values (found ${parts.length})`
+  const bad = parts.find(p=>!Number.isFinite(strict(p)) || strict(p) < 0)
+  return bad != null ? `"${bad}" is not a non-negative number` : null
+}
+
+// Optional PV production profile: blank, or 12 monthly values
+export const checkPVProfile = (txt) => String(txt ?? '').trim() ? checkProfile(txt) : null
+
+export function checkIncentives(list){
+  const errors = []
+  ;(list || []).forEach((x, i)=>{
+    try { checkIncentive(x, i) } catch (e){ errors.push(e.message) }
+  })
+  const ids = (list || []).map(x=>x.id).filter(Boolean)
+  const dup = ids.find((id, i)=>ids.indexOf(id) !== i)
+  if (dup) errors.push(`Duplicate incentive id "${dup}"`)
+  return errors
+}
+
+// The old AC's kWh (spread by monthly CDD) come out of kwhBase (spread by the
+// non-heating profile), so no month can hold more AC use than non-heating use.
+// Called once the fields themselves are valid.
+export function checkCooling(s){
+  const f = Object.fromEntries(['kwhBase', 'coolLoad', 'acSEER'].map(k=>[k, strict(s.f[k])]))
+  if (!(f.coolLoad > 0)) return null
+  const st = findStation(s.location)
+  const cdd = shares(st ? climate(st).monthlyCDD : MONTHLY_CDD)
+  const base = shares(String(s.baseProfile ?? '').split(/[\s,]+/).filter(Boolean).map(Number))
+  const acKWh = f.coolLoad*1e6/(f.acSEER*1000)
+  const m = cdd.findIndex((c, i)=>acKWh*c > f.kwhBase*base[i] + 1e-6)
+  if (m < 0) return null
+  return `The existing AC would use ${Math.round(acKWh*cdd[m])} kWh in ${MONTHS[m]}, more than that month's ${Math.round(f.kwhBase*base[m])} kWh of non-heating use; lower the cooling load or raise the annual non-heating kWh`
+}
+
+// Only the tables in use are checked (COP/bins with the table model, capacity
+// when limiting by capacity, cooling bins when a cooling EER table is entered)
+export function validateInputs(s){
+  const fields = validateFields(s.f)
+  if (!['kwhBase', 'coolLoad', 'acSEER'].some(k=>fields[k])){
+    const cooling = checkCooling(s)
+    if (cooling) fields.coolLoad = cooling
+  }
+  // The capacity model's heat loss runs from 0 at the balance point up to
+  // designLoad at designTemp, so the design temperature has to be colder
+  if (s.useTable && s.useCapacity && !fields.designTemp && !fields.balancePoint && strict(s.f.designTemp) >= strict(s.f.balancePoint)){
+    fields.designTemp = `Must be below the balance point (${strict(s.f.balancePoint)}°F)`
+  }
+  const cop = s.useTable ? checkCOP(s.copText) : []
+  const bins = s.useTable ? checkBins(s.binsText) : []
+  const cap = s.useTable && s.useCapacity ? checkCapacity(s.capText) : []
+  const profile = checkProfile(s.baseProfile)
+  const gridProfile = checkFactors(s.gridProfile)
+  const pvProfile = checkPVProfile(s.pvProfile)
+  const eer = String(s.coolText ?? '').trim() ? checkEER(s.coolText) : []
+  const coolBins = String(s.coolText ?? '').trim() ? checkBins(s.coolBinsText) : []
+  const incentives = checkIncentives(s.incentives)
+  const count = Object.keys(fields).length + cop.length + bins.length + cap.length + eer.length + coolBins.length
+    + incentives.length + [profile, gridProfile, pvProfile].filter(Boolean).length
+  return { fields, cop, bins, cap, eer, coolBins, profile, gridProfile, pvProfile, incentives, count, ok: count === 0 }
+}
+
+// Flat list of "Label: message" strings for a summary
+export const describeErrors = (v) => [
+  ...Object.entries(v.fields).map(([k, m])=>`${RULES[k]?.[0] || k}: ${m}`),
+  ...v.cop.map(e=>`COP table${e.line ? ` line ${e.line}` : ''}: ${e.message}`),
+  ...v.bins.map(e=>`Weather bins${e.line ? ` line ${e.line}` : ''}: ${e.message}`),
+  ...v.cap.map(e=>`Capacity table${e.line ? ` line ${e.line}` : ''}: ${e.message}`),
+  ...v.eer.map(e=>`Cooling EER table${e.line ? ` line ${e.line}` : ''}: ${e.message}`),
+  ...v.coolBins.map(e=>`Cooling bins${e.line ? ` line ${e.line}` : ''}: ${e.message}`),
+  ...(v.profile ? [`Non-heating kWh profile: ${v.profile}`] : []),
+  ...(v.gridProfile ? [`Grid emission factors: ${v.gridProfile}`] : []),
+  ...(v.pvProfile ? [`PV production profile: ${v.pvProfile}`] : []),
+  ...v.incentives.map(m=>`Incentives: ${m}`),
+]
@@ -0,0 +1,64 @@
+// ---------- Weather files (EPW / TMY3 CSV) ----------
+//
+// Both formats are parsed into the same shape:
+//   { name, source, hours: [{ month, day, hour, t }] }   t = dry-bulb °F
+// `hour` is 0–23 local standard time.
+
+const cToF = (c) => c*9/5 + 32
+
+const splitCSV = (line) => {
+  const out = []
+  let cur = '', q = false
+  for (const ch of line){
+    if (ch === '"') q = !q
+    else if (ch === ',' && !q){ out.push(cur); cur = '' }
+    else cur += ch
+  }
+  out.push(cur)
+  return out.map(s=>s.trim())
+}
+
+export function parseEPW(text){
+  const lines = text.split(/\r?\n/)
+  const loc = splitCSV(lines[0] || '')
+  if (loc[0] !== 'LOCATION') throw new Error('Not an EPW file (missing LOCATION header)')
+  const hours = []
+  for (const line of lines.slice(8)){
+    if (!line.trim()) continue
+    const c = splitCSV(line)
+    const t = +c[6]
+    if (!Number.isFinite(t) || t >= 99.9) continue // 99.9 = missing
+    hours.push({ month: +c[1], day: +c[2], hour: (+c[3] - 1) % 24, t: cToF(t) })
+  }
+  return { name: [loc[1], loc[2]].filter(Boolean).join(', '), source: loc[4] || 'EPW', hours }
+}
+
+export function parseTMY3(text){
+  const lines = text.split(/\r?\n/)
+  const meta = splitCSV(lines[0] || '')
+  const head = splitCSV(lines[1] || '')
+  const iDate = head.findIndex(h=>/^Date/i.test(h))
+  const iTime = head.findIndex(h=>/^Time/i.test(h))
+  const iDB   = head.findIndex(h=>/^Dry-bulb/i.test(h))
+  if (iDate < 0 || iTime < 0 || iDB < 0) throw new Error('Not a TMY3 CSV (missing Date/Time/Dry-bulb columns)')
+  const hours = []
+  for (const line of lines.slice(2)){
+    if (!line.trim()) continue
+    const c = splitCSV(line)
+    const t = +c[iDB]
+    if (!Number.isFinite(t)) continue
+    const [mm, dd] = c[iDate].split('/').map(Number)
+    hours.push({ month: mm, day: dd, hour: (parseInt(c[iTime], 10) - 1 + 24) % 24, t: cToF(t) })
+  }
+  return { name: [meta[1], meta[2]].filter(Boolean).join(', '), source: 'TMY3', hours }
+}
+
+export function parseWeather(text){
+  const w = text.startsWith('LOCATION') ? parseEPW(text) : parseTMY3(text)
+  if (w.hours.length < 24) throw new Error('Weather file has no usable hourly dry-bulb data')
+  return w
+}
+
+// Heating degree-hours (°F·h) below the balance point
+export const degreeHours = (hours, balance) =>
+  hours.reduce((k,h)=>k + Math.max(0, balance - h.t), 0)
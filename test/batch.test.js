@@ -0,0 +1,57 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { parseCSV, parseHomes, runHome, runBatch, RESULT_COLUMNS } from '../src/lib/batch.js'
+
+// Files by path, throwing like the CLI's reader for anything else
+const files = { 'cop.txt': '47:3.8\n17:2.5\n5:2.0' }
+const read = (path, what) => {
+  if (!(path in files)) throw new Error(`${what} not found: ${path}`)
+  return files[path]
+}
+
+test('quoted fields keep their commas, quotes and newlines', ()=>{
+  assert.deepEqual(parseCSV('name,note\n"Smith, J","said ""hi""\nthen left"\n'), [
+    ['name', 'note'],
+    ['Smith, J', 'said "hi"\nthen left'],
+  ])
+})
+
+test('a row with more values than columns is reported, not shifted', ()=>{
+  const { homes } = parseHomes('name,gasSupply\nA,0,52\nB,0.52')
+  assert.match(homes[0].problem, /3 values for 2 columns/)
+  assert.equal(homes[1].problem, undefined)
+  const [a, b] = runBatch(homes, read)
+  assert.equal(a.status, 'error')
+  assert.match(a.errors[0], /quote values that contain commas/)
+  assert.equal(b.status, 'ok')
+})
+
+test('an unknown location fails only its own row', ()=>{
+  const { homes } = parseHomes('name,location\nA,nowhere\nB,bos')
+  const [a, b] = runBatch(homes, read)
+  assert.deepEqual(a.errors, ['Unknown climate location "nowhere"'])
+  assert.equal(b.status, 'ok')
+})
+
+test('a missing file is a row error', ()=>{
+  const { homes } = parseHomes('name,cop,elecTariff\nA,cop.txt,\nB,missing.txt,\nC,,rate.json')
+  const [a, b, c] = runBatch(homes, read)
+  assert.equal(a.status, 'ok')
+  assert.deepEqual(b.errors, ['COP table not found: missing.txt'])
+  assert.deepEqual(c.errors, ['elecTariff rate.json: electric tariff not found: rate.json'])
+})
+
+test('an ok row carries every result column', ()=>{
+  const r = runHome({ row: 2, values: { name: 'Default home' } }, read)
+  assert.equal(r.status, 'ok')
+  assert.deepEqual(r.errors, [])
+  for (const k of RESULT_COLUMNS.filter(k=>k !== 'errors')) assert.ok(k in r, `missing ${k}`)
+  assert.equal(r.savingsAll, r.baseline - r.allElectric)
+})
+
+test('invalid inputs fail validation before the engine runs', ()=>{
+  const r = runHome({ row: 2, values: { gasSupply: 'abc' } }, read)
+  assert.equal(r.name, 'row 2')
+  assert.equal(r.status, 'error')
+  assert.match(r.errors[0], /is not a number/)
+})
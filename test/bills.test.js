@@ -0,0 +1,34 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { parseBills, parseDegreeDays, calibrate } from '../src/lib/bills.js'
+
+// A year of monthly gas bills: 0.65 therm/day base plus 0.15 therm per HDD,
+// with each month's HDD 30% above the typical year (a cold year)
+const TYPICAL = [1200, 1000, 850, 500, 250, 50, 0, 10, 100, 400, 750, 1100]
+const DIM = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31]
+const cold = TYPICAL.map(h=>h*1.3)
+const iso = (m) => `2023-${String(m + 1).padStart(2, '0')}-01`
+const rows = TYPICAL.map((_, m)=>[iso(m), m === 11 ? '2024-01-01' : iso(m + 1), (0.65*DIM[m] + 0.15*cold[m]).toFixed(4), cold[m]])
+
+test('bill HDD column drives the regression, not the typical year', ()=>{
+  const csv = ['start,end,therms,hdd', ...rows.map(r=>r.join(','))].join('\n')
+  const withHDD = calibrate(parseBills(csv).periods, { afue: 1, monthlyHDD: TYPICAL })
+  assert.equal(withHDD.gas.actualPeriods, 12)
+  assert.ok(Math.abs(withHDD.gas.slope - 0.15) < 1e-3)
+
+  const plain = ['start,end,therms', ...rows.map(r=>r.slice(0, 3).join(','))].join('\n')
+  const noHDD = calibrate(parseBills(plain).periods, { afue: 1, monthlyHDD: TYPICAL })
+  assert.equal(noHDD.gas.actualPeriods, 0)
+  assert.ok(noHDD.gas.slope > 0.18, 'typical-year HDD overstate the slope in a cold year')
+})
+
+test('daily degree-day file covering the bills', ()=>{
+  const csv = ['start,end,therms', ...rows.map(r=>r.slice(0, 3).join(','))].join('\n')
+  const lines = ['date,HDD']
+  DIM.forEach((n, m)=>{ for (let d=1; d<=n; d++) lines.push(`2023-${String(m + 1).padStart(2, '0')}-${String(d).padStart(2, '0')},${cold[m]/n}`) })
+  const actual = parseDegreeDays(lines.join('\n'))
+  assert.equal(actual.size, 365)
+  const cal = calibrate(parseBills(csv).periods, { afue: 1, monthlyHDD: TYPICAL, actual })
+  assert.equal(cal.gas.actualPeriods, 12)
+  assert.ok(Math.abs(cal.gas.slope - 0.15) < 1e-3)
+})
@@ -0,0 +1,64 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { calculate } from '../src/lib/engine.js'
+import { D, DEFAULT_COP, DEFAULT_BINS } from '../src/lib/defaults.js'
+
+// Chicago defaults pinned to known results: a formula change that moves a
+// payback number has to update these on purpose.
+const KEYS = ['baseline', 'allElectric', 'hybrid', 'savingsAll', 'savingsHybrid', 'paybackAll', 'paybackHybrid', 'crossoverTemp']
+const pick = (r) => Object.fromEntries(KEYS.map(k=>[k, r[k]]))
+const run = (extra={}) => calculate({ f: D, useTable: true, copText: DEFAULT_COP, binsText: DEFAULT_BINS, ...extra })
+
+test('defaults, COP table mode', ()=>{
+  assert.deepEqual(pick(run()), {
+    baseline: 11148, allElectric: 8160, hybrid: 8091,
+    savingsAll: 2988, savingsHybrid: 3057,
+    paybackAll: 2.6, paybackHybrid: 2.5,
+    crossoverTemp: 39,
+  })
+})
+
+test('defaults, seasonal COP mode', ()=>{
+  assert.deepEqual(pick(run({ useTable: false })), {
+    baseline: 11148, allElectric: 8206, hybrid: null,
+    savingsAll: 2942, savingsHybrid: null,
+    paybackAll: 2.6, paybackHybrid: null,
+    crossoverTemp: null,
+  })
+})
+
+test('savings are baseline minus scenario cost', ()=>{
+  const r = run()
+  assert.equal(r.savingsAll, r.baseline - r.allElectric)
+  assert.equal(r.savingsHybrid, r.baseline - r.hybrid)
+})
+
+test('HP+PV payback pays for switched appliances like paybackAll', ()=>{
+  const f = { ...D, pvKW: 6 }
+  const plain = run({ f })
+  const withHPWH = run({ f, appliances: { water: 'switch', range: 'none', dryer: 'none' } })
+  const appNet = withHPWH.appliances.netCost
+  assert.ok(appNet > 0)
+  const cost = (r) => r.pv.payback*r.pv.savings
+  // payback × savings recovers the numerator to within rounding
+  assert.ok(Math.abs(cost(withHPWH) - (cost(plain) + appNet)) < withHPWH.pv.savings*0.1)
+})
+
+test('gas customer charge is opt-in: $18/month on every bill that still buys gas', ()=>{
+  const none = run()
+  const r = run({ f: { ...D, gasFixed: 18 } })
+  assert.equal(r.baseline - none.baseline, 216)
+  assert.equal(r.hybrid - none.hybrid, 216)
+  assert.equal(r.allElectric, none.allElectric)
+})
+
+test('cooling swaps the AC kWh inside kwhBase for the heat pump kWh', ()=>{
+  const heating = run()
+  const r = run({ f: { ...D, coolLoad: 60 } })
+  // 60 MMBtu at SEER 10 vs 16
+  assert.equal(r.cooling.acKWh, 6000)
+  assert.equal(r.cooling.hpKWh, 3750)
+  assert.equal(r.cooling.savingsAll, 180)
+  assert.equal(r.cooling.heatingSavingsAll, heating.savingsAll)
+  assert.ok(Math.abs(r.savingsAll - (heating.savingsAll + r.cooling.savingsAll)) <= 1)
+})
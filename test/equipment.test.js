@@ -0,0 +1,30 @@
+import { test, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { CATALOG, validateModel, parseCatalog, exportCatalog, loadCustomModels, saveCustomModels } from '../src/lib/equipment.js'
+
+beforeEach(()=>{
+  const m = new Map()
+  globalThis.localStorage = { getItem: (k)=>m.get(k) ?? null, setItem: (k, v)=>{ m.set(k, v) } }
+})
+
+const custom = () => validateModel({ name: 'Attic unit', nominalTons: 2, ratings: [{ t: 47, cop: 3.9, capacity: 24 }, { t: 17, cop: 2.6, capacity: 18 }, { t: 5, cop: 2.1, capacity: 15 }] })
+
+test('custom models round-trip through export and import', ()=>{
+  const m = custom()
+  const back = parseCatalog(JSON.stringify(exportCatalog([m])))
+  assert.deepEqual(saveCustomModels(back), [m])
+  assert.deepEqual(loadCustomModels(), [m])
+})
+
+test('importing a full-library export adds no bundled copies', ()=>{
+  const m = custom()
+  const saved = saveCustomModels(parseCatalog(JSON.stringify(exportCatalog([...CATALOG, m]))))
+  assert.deepEqual(saved.map(x=>x.id), [m.id])
+  const ids = [...CATALOG, ...loadCustomModels()].map(x=>x.id)
+  assert.equal(new Set(ids).size, ids.length)
+})
+
+test('a full or disabled store surfaces a readable error', ()=>{
+  globalThis.localStorage = { getItem: ()=>null, setItem: ()=>{ throw Object.assign(new Error('denied'), { name: 'SecurityError' }) } }
+  assert.throws(()=>saveCustomModels([custom()]), /storage is unavailable/)
+})
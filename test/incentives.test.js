@@ -0,0 +1,56 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { DEFAULT_INCENTIVES, stackIncentives, parseIncentives } from '../src/lib/incentives.js'
+import { D } from '../src/lib/defaults.js'
+
+const project = { cost: D.gross, tons: D.hpTons, income: D.incomePct }
+const status = (s) => Object.fromEntries(s.items.map(x=>[x.id, x.status]))
+
+test('default stack gives the old $2,600 at 3 tons', ()=>{
+  const s = stackIncentives(DEFAULT_INCENTIVES, project)
+  assert.deepEqual(s.items.map(x=>x.amount), [600, 2000, 0])
+  assert.equal(s.total, 2600)
+  assert.equal(s.net, D.gross - 2600)
+})
+
+test('a percent entry is held to its cap', ()=>{
+  const s = stackIncentives([{ id: 'p', type: 'percent', amount: 50, cap: 1000 }], { cost: 10000 })
+  assert.equal(s.items[0].amount, 1000)
+  assert.match(s.items[0].note, /capped at \$1,000/)
+})
+
+test('afterPrior takes its percent of the cost left after earlier entries', ()=>{
+  const list = [{ id: 'r', type: 'fixed', amount: 4000 }, { id: 'c', type: 'percent', amount: 30 }]
+  assert.equal(stackIncentives(list, { cost: 10000 }).items[1].amount, 3000)
+  list[1].afterPrior = true
+  assert.equal(stackIncentives(list, { cost: 10000 }).items[1].amount, 1800)
+})
+
+test('income above maxIncome rules an entry out', ()=>{
+  assert.equal(status(stackIncentives(DEFAULT_INCENTIVES, project)).heehra, 'ineligible')
+  const low = stackIncentives(DEFAULT_INCENTIVES, { ...project, income: 80 })
+  assert.equal(status(low).heehra, 'applied')
+  assert.match(stackIncentives(DEFAULT_INCENTIVES, project).items[2].note, /Income 120% of AMI is above the 80% of AMI limit/)
+})
+
+test('excludes blocks stacking whichever entry names the other', ()=>{
+  const a = { id: 'a', type: 'fixed', amount: 100, excludes: ['b'] }, b = { id: 'b', type: 'fixed', amount: 200 }
+  // a applied first and excludes b
+  assert.deepEqual(status(stackIncentives([a, b], { cost: 10000 })), { a: 'applied', b: 'not stackable' })
+  // b applied first; a excludes it, so a is the one skipped
+  assert.deepEqual(status(stackIncentives([b, a], { cost: 10000 })), { b: 'applied', a: 'not stackable' })
+})
+
+test('the total never exceeds the install cost', ()=>{
+  const s = stackIncentives([{ id: 'x', type: 'fixed', amount: 3000 }, { id: 'y', type: 'perTon', amount: 1000 }], { cost: 4000, tons: 3 })
+  assert.deepEqual(s.items.map(x=>x.amount), [3000, 1000])
+  assert.equal(s.items[1].note, 'limited to the remaining cost')
+  assert.equal(s.total, 4000)
+  assert.equal(s.net, 0)
+})
+
+test('parseIncentives checks entries and ids', ()=>{
+  assert.equal(parseIncentives(JSON.stringify({ incentives: DEFAULT_INCENTIVES })).length, 3)
+  assert.throws(()=>parseIncentives('[{"id":"a","type":"bogus","amount":1}]'), /type must be/)
+  assert.throws(()=>parseIncentives('[{"id":"a","type":"fixed","amount":1},{"id":"a","type":"fixed","amount":2}]'), /Duplicate incentive id "a"/)
+})
@@ -0,0 +1,45 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { runMonteCarlo, percentile, checkSpecs, checkRuns, defaultSpecs } from '../src/lib/montecarlo.js'
+import { calcArgs, defaultInputs } from '../src/lib/scenarios.js'
+
+test('percentile handles runs that never pay back', ()=>{
+  assert.equal(percentile([1, 2, Infinity, Infinity], 0.9), Infinity)
+  assert.equal(percentile([Infinity], 0.5), Infinity)
+  assert.equal(percentile([1, 3], 0.5), 2)
+})
+
+test('never-payback runs stay in the payback percentiles', ()=>{
+  const s = defaultInputs()
+  s.f.gross = '60000'
+  const r = runMonteCarlo(calcArgs(s), defaultSpecs(), { runs: 300, seed: 1 })
+  const never = r.allElectric.histogram[r.allElectric.histogram.length - 1].count
+  assert.ok(never > 150, `expected most runs to miss the horizon, got ${never}`)
+  assert.equal(r.allElectric.payback.n, 300)
+  assert.equal(r.allElectric.payback.p50, Infinity)
+})
+
+test('spec parameters are checked', ()=>{
+  assert.deepEqual(checkSpecs(defaultSpecs()), [])
+  const bad = { ...defaultSpecs(), heatLoad: { dist: 'normal', a: 'x', b: 0.1 }, install: { dist: 'triangular', a: 1.2, b: 1, c: 0.9 } }
+  assert.equal(checkSpecs(bad).length, 2)
+  assert.throws(()=>runMonteCarlo(calcArgs(defaultInputs()), bad, { runs: 10 }), /Heat load/)
+})
+
+test('escalation draws are offsets from the entered rates', ()=>{
+  const fixed = Object.fromEntries(Object.keys(defaultSpecs()).map(k=>[k, { dist: 'fixed', a: k.endsWith('Esc') ? 0 : 1 }]))
+  const at = (gasEsc) => {
+    const s = defaultInputs()
+    s.f.gasEsc = gasEsc
+    return runMonteCarlo(calcArgs(s), fixed, { runs: 100 }).allElectric.payback.p50
+  }
+  // Faster-rising gas prices make the switch pay back sooner
+  assert.ok(at('8') < at('0'))
+})
+
+test('simulation count is capped', ()=>{
+  assert.equal(checkRuns('2000'), null)
+  assert.match(checkRuns('1e9'), /between 100 and 50,000/)
+  assert.match(checkRuns('2.5'), /whole number/)
+  assert.throws(()=>runMonteCarlo(calcArgs(defaultInputs()), defaultSpecs(), { runs: 1e9 }), /Simulations/)
+})
@@ -0,0 +1,19 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { reportHTML } from '../src/lib/report.js'
+import { calculate } from '../src/lib/engine.js'
+import { calcArgs, defaultInputs } from '../src/lib/scenarios.js'
+
+const rects = (html) => [...html.matchAll(/<rect x="[^"]+" y="([^"]+)" width="[^"]+" height="([^"]+)"/g)].map(m=>({ y: +m[1], h: +m[2] }))
+
+test('cost chart draws a negative cost down from the zero line', ()=>{
+  const s = defaultInputs()
+  const calc = calculate(calcArgs(s))
+  const html = reportHTML({ inputs: s, calc: { ...calc, chart: [{ name: 'Gas', cost: 1500 }, { name: 'HP + PV', cost: -500 }] } })
+  const [up, down] = rects(html)
+  assert.ok(up.h > 0 && down.h > 0)
+  // Both bars meet at the zero line, one above it and one below
+  assert.equal(up.y + up.h, down.y)
+  assert.ok(Math.abs(up.h/down.h - 3) < 1e-9)
+  assert.match(html, /-\$500/)
+})
@@ -0,0 +1,19 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { saveScenario, loadScenarios, defaultInputs } from '../src/lib/scenarios.js'
+
+const memory = () => {
+  const m = new Map()
+  return { getItem: (k)=>m.get(k) ?? null, setItem: (k, v)=>{ m.set(k, v) } }
+}
+
+test('saves and reloads a scenario', ()=>{
+  globalThis.localStorage = memory()
+  saveScenario('Smith', defaultInputs())
+  assert.deepEqual(loadScenarios().map(s=>s.name), ['Smith'])
+})
+
+test('a full or disabled store surfaces a readable error', ()=>{
+  globalThis.localStorage = { ...memory(), setItem: ()=>{ throw Object.assign(new Error('quota'), { name: 'QuotaExceededError' }) } }
+  assert.throws(()=>saveScenario('Jones', defaultInputs()), /storage is full/)
+})
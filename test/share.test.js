@@ -0,0 +1,27 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { encodeInputs, decodeInputs } from '../src/lib/share.js'
+import { defaultInputs } from '../src/lib/scenarios.js'
+
+test('hashes that are not share links are ignored', ()=>{
+  assert.equal(decodeInputs(''), null)
+  assert.equal(decodeInputs('#foo'), null)
+  assert.equal(decodeInputs('#results'), null)
+})
+
+test('round trip restores the inputs without warnings', ()=>{
+  const s = defaultInputs()
+  s.f.heatMMBtu = '52'
+  const { inputs, warnings } = decodeInputs(`#${encodeInputs(s)}`)
+  assert.deepEqual(warnings, [])
+  assert.equal(inputs.f.heatMMBtu, '52')
+})
+
+test('older links fill later-added fields quietly but flag missing core fields', ()=>{
+  const q = new URLSearchParams(encodeInputs(defaultInputs()))
+  q.delete('v')
+  for (const k of ['gasFixed', 'hpTons', 'incomePct', 'coolLoad']) q.delete(k)
+  assert.deepEqual(decodeInputs(`#${q}`).warnings, [])
+  q.delete('afue')
+  assert.match(decodeInputs(`#${q}`).warnings.join(), /afue/)
+})
@@ -0,0 +1,34 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { validateInputs } from '../src/lib/validate.js'
+import { defaultInputs } from '../src/lib/scenarios.js'
+
+const check = (f={}, extra={}) => {
+  const s = defaultInputs()
+  return validateInputs({ ...s, ...extra, f: { ...s.f, ...f } })
+}
+
+test('defaults are valid', ()=>{
+  assert.equal(check().ok, true)
+  assert.equal(check({ coolLoad: 60 }).ok, true)
+})
+
+test('AC kWh that outgrow a month of non-heating kWh are a cooling-load error', ()=>{
+  const v = check({ coolLoad: 60, kwhBase: 3000 })
+  assert.equal(v.ok, false)
+  assert.match(v.fields.coolLoad, /existing AC would use \d+ kWh in May/)
+})
+
+test('the cooling check waits for the fields it reads to be valid', ()=>{
+  const v = check({ coolLoad: 60, kwhBase: 'abc' })
+  assert.equal(v.fields.coolLoad, undefined)
+  assert.ok(v.fields.kwhBase)
+})
+
+test('design temp at or above the balance point is an error when capacity limits the heat pump', ()=>{
+  const v = check({ designTemp: '65', balancePoint: '65' }, { useCapacity: true })
+  assert.equal(v.fields.designTemp, 'Must be below the balance point (65°F)')
+  assert.equal(check({ designTemp: '64', balancePoint: '65' }, { useCapacity: true }).ok, true)
+  // Without the capacity model the design temperature isn't used
+  assert.equal(check({ designTemp: '70', balancePoint: '65' }, { useCapacity: false }).ok, true)
+})